@@ -0,0 +1,112 @@
+'use strict';
+
+const crypto = require('crypto');
+
+const COOKIE_NAME = 'dgg_admin';
+const DEFAULT_LOGIN_TTL_MS = 12 * 60 * 60 * 1000;
+
+function parseCookies(header) {
+  const cookies = {};
+  for (const part of String(header || '').split(';')) {
+    const idx = part.indexOf('=');
+    if (idx < 0) continue;
+    const name = part.slice(0, idx).trim();
+    if (!name) continue;
+    try {
+      cookies[name] = decodeURIComponent(part.slice(idx + 1).trim());
+    } catch {
+      // malformed percent-encoding; skip this cookie
+    }
+  }
+  return cookies;
+}
+
+function safeEqual(a, b) {
+  const ha = crypto.createHash('sha256').update(String(a)).digest();
+  const hb = crypto.createHash('sha256').update(String(b)).digest();
+  return crypto.timingSafeEqual(ha, hb);
+}
+
+// Admin access via `ADMIN_TOKEN`: sent as a bearer token by scripts, or
+// typed as the password on the login form, which sets a signed cookie.
+// With no token configured every request is treated as admin.
+function createAuth({ adminToken, secret = crypto.randomBytes(32).toString('hex'), ttlMs = DEFAULT_LOGIN_TTL_MS }) {
+  const enabled = !!adminToken;
+
+  function sign(expires) {
+    return crypto.createHmac('sha256', secret).update(String(expires)).digest('hex');
+  }
+
+  function issueCookie(res) {
+    const expires = Date.now() + ttlMs;
+    const secure = res.req && res.req.secure ? '; Secure' : '';
+    res.setHeader('Set-Cookie', `${COOKIE_NAME}=${expires}.${sign(expires)}; HttpOnly; SameSite=Strict; Path=/; Max-Age=${Math.floor(ttlMs / 1000)}${secure}`);
+  }
+
+  function clearCookie(res) {
+    res.setHeader('Set-Cookie', `${COOKIE_NAME}=; HttpOnly; SameSite=Strict; Path=/; Max-Age=0`);
+  }
+
+  function isAdmin(req) {
+    if (!enabled) return true;
+    const header = req.headers.authorization || '';
+    if (header.startsWith('Bearer ') && safeEqual(header.slice(7).trim(), adminToken)) return true;
+    const cookie = parseCookies(req.headers.cookie)[COOKIE_NAME];
+    if (!cookie) return false;
+    const [expires, signature] = cookie.split('.');
+    return Number(expires) > Date.now() && !!signature && safeEqual(signature, sign(expires));
+  }
+
+  function requireAdmin(req, res, next) {
+    if (isAdmin(req)) return next();
+    res.status(401).json({ error: 'admin login required' });
+  }
+
+  function login(req, res) {
+    if (!enabled) return res.json({ ok: true, admin: true });
+    const password = req.body?.password ?? req.body?.token;
+    if (!password || !safeEqual(password, adminToken)) {
+      return res.status(401).json({ error: 'invalid password' });
+    }
+    issueCookie(res);
+    res.json({ ok: true, admin: true });
+  }
+
+  function logout(_req, res) {
+    clearCookie(res);
+    res.json({ ok: true });
+  }
+
+  return { enabled, isAdmin, requireAdmin, login, logout };
+}
+
+// Fixed-window request counter per client IP
+function createRateLimiter({ windowMs, max, message = 'too many requests' }) {
+  const hits = new Map(); // ip -> { count, resetAt }
+
+  const sweep = setInterval(() => {
+    const now = Date.now();
+    for (const [ip, entry] of hits) {
+      if (entry.resetAt <= now) hits.delete(ip);
+    }
+  }, windowMs);
+  if (sweep.unref) sweep.unref();
+
+  return function rateLimit(req, res, next) {
+    const now = Date.now();
+    const ip = req.ip || req.socket.remoteAddress || 'unknown';
+    let entry = hits.get(ip);
+    if (!entry || entry.resetAt <= now) {
+      entry = { count: 0, resetAt: now + windowMs };
+      hits.set(ip, entry);
+    }
+    entry.count += 1;
+    if (entry.count > max) {
+      res.setHeader('Retry-After', String(Math.ceil((entry.resetAt - now) / 1000)));
+      return res.status(429).json({ error: message });
+    }
+    next();
+  };
+}
+
+module.exports = { createAuth, createRateLimiter, parseCookies };
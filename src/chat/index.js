@@ -0,0 +1,187 @@
+'use strict';
+
+const { log } = require('../log');
+const { createTwitchChat } = require('./twitch');
+const { createKickChat } = require('./kick');
+
+const PLATFORMS = ['twitch', 'kick'];
+const COMMANDS = ['!time', '!split', '!speaker'];
+
+// Channel name from a stream URL on the given platform, e.g.
+// https://www.twitch.tv/destiny -> "destiny". VOD links have none.
+function channelFromUrl(url, platform) {
+  let parsed;
+  try {
+    parsed = new URL(url);
+  } catch (_) {
+    return null;
+  }
+  const host = platform === 'twitch' ? /(^|\.)twitch\.tv$/ : /(^|\.)kick\.com$/;
+  if (!host.test(parsed.hostname)) return null;
+  const [first] = parsed.pathname.split('/').filter(Boolean);
+  if (!first || ['videos', 'video', 'clip', 'clips', 'directory', 'categories'].includes(first.toLowerCase())) return null;
+  return /^[A-Za-z0-9_-]{1,64}$/.test(first) ? first : null;
+}
+
+function formatDuration(seconds) {
+  const total = Math.round(seconds);
+  const h = Math.floor(total / 3600);
+  const m = Math.floor((total % 3600) / 60);
+  const s = total % 60;
+  return h ? `${h}h${String(m).padStart(2, '0')}m` : `${m}m${String(s).padStart(2, '0')}s`;
+}
+
+// Seconds per speaker label, largest first, from an analytics snapshot
+function speakerTotals(snapshot) {
+  const totals = new Map();
+  for (const [speaker, seconds] of Object.entries(snapshot.speakerDurations || {})) {
+    const label = snapshot.speakerLabels?.[speaker] || speaker;
+    totals.set(label, (totals.get(label) || 0) + seconds);
+  }
+  return [...totals.entries()]
+    .map(([label, seconds]) => ({ label, name: snapshot.speakerNames?.[label] || `Speaker ${label}`, seconds }))
+    .sort((a, b) => b.seconds - a.seconds);
+}
+
+function timeReply(snapshot) {
+  const totals = speakerTotals(snapshot);
+  if (!totals.length) return 'No speaking time yet';
+  return `Speaking time: ${totals.map((t) => `${t.name} ${formatDuration(t.seconds)}`).join(', ')}`;
+}
+
+function splitReply(snapshot) {
+  const totals = speakerTotals(snapshot);
+  const sum = totals.reduce((acc, t) => acc + t.seconds, 0);
+  if (!sum) return 'No speaking time yet';
+  return `Split: ${totals.map((t) => `${t.name} ${Math.round((t.seconds / sum) * 100)}%`).join(' / ')}`;
+}
+
+// Answers !time, !split and !speaker in the chat of the channel being
+// transcribed, and posts format alerts plus a periodic split. Fed from the
+// primary session's broadcasts via `handle()`; the channel follows the
+// session's URL unless pinned per platform in `channels`.
+function createChatBot({ platforms, channels = {}, twitch = {}, kick = {}, commandCooldownSeconds = 10, announceMinutes = 0, announceAlerts = true }) {
+  const clients = new Map(); // platform -> client
+  const lastReply = new Map(); // command -> ms
+  let session = null;
+  let snapshot = null;
+  let currentLabel = null;
+  let announceTimer = null;
+
+  function broadcast(text) {
+    for (const client of clients.values()) client.say(text);
+  }
+
+  function reply(command) {
+    if (!snapshot) return 'Not transcribing right now';
+    if (command === '!time') return timeReply(snapshot);
+    if (command === '!split') return splitReply(snapshot);
+    if (snapshot.status !== 'streaming') return 'Not transcribing right now';
+    if (!currentLabel) return 'Nobody has spoken yet';
+    return `Now speaking: ${snapshot.speakerNames?.[currentLabel] || `Speaker ${currentLabel}`}`;
+  }
+
+  function onMessage(client, { user, text }) {
+    const command = text.trim().split(/\s+/)[0].toLowerCase();
+    if (!COMMANDS.includes(command)) return;
+    const now = Date.now();
+    if (now - (lastReply.get(command) || 0) < commandCooldownSeconds * 1000) return;
+    lastReply.set(command, now);
+    log.info(`Chat command ${command} from ${user} on ${client.platform}`, { platform: client.platform, channel: client.channel, command, user });
+    client.say(reply(command));
+  }
+
+  function connect(platform, channel) {
+    const existing = clients.get(platform);
+    if (existing && existing.channel.toLowerCase() === channel.toLowerCase()) return;
+    if (existing) existing.close();
+    const options = { ...(platform === 'twitch' ? twitch : kick), channel, onMessage: (message) => onMessage(client, message) };
+    const client = platform === 'twitch' ? createTwitchChat(options) : createKickChat(options);
+    clients.set(platform, client);
+    log.info(`Chat bot connecting to ${platform} channel ${channel}${client.canSend ? '' : ' (read-only, no token)'}`, { platform, channel });
+  }
+
+  // Pinned channels connect right away; the rest wait for a session URL
+  function follow(url) {
+    for (const platform of platforms) {
+      const channel = channels[platform] || (url && channelFromUrl(url, platform));
+      if (channel) connect(platform, channel);
+    }
+  }
+
+  function handle(source, obj) {
+    if (source !== session) {
+      session = source;
+      snapshot = null;
+      currentLabel = null;
+    }
+    if (obj.type === 'analytics') {
+      snapshot = obj;
+      if (obj.status === 'streaming') follow(obj.url);
+    } else if (obj.type === 'final') {
+      const segments = obj.segments || [];
+      if (segments.length) currentLabel = segments[segments.length - 1].label;
+    } else if (obj.type === 'format-alert' && announceAlerts) {
+      const name = obj.label && snapshot?.speakerNames?.[obj.label];
+      broadcast(name ? obj.message.replace(`Speaker ${obj.label}`, name) : obj.message);
+    }
+  }
+
+  if (announceMinutes > 0) {
+    announceTimer = setInterval(() => {
+      if (snapshot && snapshot.status === 'streaming') broadcast(splitReply(snapshot));
+    }, announceMinutes * 60 * 1000);
+    announceTimer.unref();
+  }
+  follow(null);
+
+  function status() {
+    return {
+      platforms,
+      commands: COMMANDS,
+      connections: [...clients.values()].map((client) => ({ platform: client.platform, channel: client.channel, connected: client.isConnected(), canSend: client.canSend })),
+    };
+  }
+
+  function close() {
+    clearInterval(announceTimer);
+    for (const client of clients.values()) client.close();
+    clients.clear();
+  }
+
+  return { handle, status, close };
+}
+
+// Chat bot settings from the environment; null unless CHAT_BOT names at
+// least one platform ("twitch", "kick" or "twitch,kick")
+function chatBotConfigFromEnv(env) {
+  const platforms = String(env.CHAT_BOT || '').split(',').map((p) => p.trim().toLowerCase()).filter(Boolean);
+  if (!platforms.length) return null;
+  for (const platform of platforms) {
+    if (!PLATFORMS.includes(platform)) throw new Error(`Unknown CHAT_BOT platform "${platform}". Available: ${PLATFORMS.join(', ')}`);
+  }
+  return {
+    platforms: [...new Set(platforms)],
+    channels: { twitch: env.TWITCH_CHANNEL || null, kick: env.KICK_CHANNEL || null },
+    twitch: {
+      username: env.TWITCH_BOT_USERNAME,
+      token: env.TWITCH_BOT_TOKEN,
+      host: env.TWITCH_IRC_HOST || undefined,
+      port: env.TWITCH_IRC_PORT ? Number(env.TWITCH_IRC_PORT) : undefined,
+      secure: env.TWITCH_IRC_TLS ? env.TWITCH_IRC_TLS !== 'false' : undefined,
+    },
+    kick: {
+      token: env.KICK_BOT_TOKEN,
+      chatroomId: env.KICK_CHATROOM_ID || null,
+      broadcasterUserId: env.KICK_BROADCASTER_USER_ID || null,
+      pusherUrl: env.KICK_PUSHER_URL || undefined,
+      channelApiUrl: env.KICK_CHANNEL_API_URL || undefined,
+      apiUrl: env.KICK_API_URL || undefined,
+    },
+    commandCooldownSeconds: env.CHAT_COMMAND_COOLDOWN_SECONDS !== undefined ? Number(env.CHAT_COMMAND_COOLDOWN_SECONDS) : 10,
+    announceMinutes: Number(env.CHAT_ANNOUNCE_MINUTES) || 0,
+    announceAlerts: env.CHAT_ANNOUNCE_ALERTS !== 'false',
+  };
+}
+
+module.exports = { createChatBot, chatBotConfigFromEnv, channelFromUrl };
@@ -0,0 +1,123 @@
+'use strict';
+
+const WebSocket = require('ws');
+const { log } = require('../log');
+
+// Kick's public Pusher app; chat messages arrive on chatrooms.<id>.v2
+const DEFAULT_PUSHER_URL = 'wss://ws-us2.pusher.com/app/32cbd69e4b950bf97679?protocol=7&client=js&version=8.4.0-rc2&flash=false';
+const DEFAULT_CHANNEL_API_URL = 'https://kick.com/api/v2/channels';
+const DEFAULT_API_URL = 'https://api.kick.com/public/v1';
+const MAX_MESSAGE_LENGTH = 500;
+
+// Look up the chatroom and broadcaster ids for a channel slug
+async function fetchChannelInfo(slug, channelApiUrl) {
+  const res = await fetch(`${channelApiUrl.replace(/\/$/, '')}/${encodeURIComponent(slug)}`, { headers: { accept: 'application/json' } });
+  if (!res.ok) throw new Error(`Kick channel lookup failed with ${res.status}`);
+  const body = await res.json();
+  if (!body?.chatroom?.id) throw new Error(`Kick channel ${slug} has no chatroom`);
+  return { chatroomId: body.chatroom.id, broadcasterUserId: body.user_id || body.user?.id || null };
+}
+
+// Kick chat: reads over Kick's Pusher websocket and posts through the public
+// API with a bot token. Without a token it only reads. Every endpoint is
+// configurable so it can run against local stand-ins. Reconnects with
+// backoff until closed.
+function createKickChat({ channel, token, chatroomId, broadcasterUserId, pusherUrl = DEFAULT_PUSHER_URL, channelApiUrl = DEFAULT_CHANNEL_API_URL, apiUrl = DEFAULT_API_URL, onMessage }) {
+  const canSend = !!token;
+  let socket = null;
+  let connected = false;
+  let closed = false;
+  let failures = 0;
+  let retryTimer = null;
+  let ids = chatroomId ? { chatroomId, broadcasterUserId: broadcasterUserId || null } : null;
+
+  function scheduleReconnect() {
+    connected = false;
+    if (closed) return;
+    failures += 1;
+    const delay = Math.min(30000, 1000 * 2 ** (failures - 1));
+    log.warn(`Kick chat disconnected; reconnecting in ${delay}ms`, { platform: 'kick', channel, attempt: failures });
+    retryTimer = setTimeout(start, delay);
+  }
+
+  function handleFrame(raw) {
+    let frame;
+    try {
+      frame = JSON.parse(raw);
+    } catch (_) {
+      return;
+    }
+    if (frame.event === 'pusher:connection_established') {
+      socket.send(JSON.stringify({ event: 'pusher:subscribe', data: { auth: '', channel: `chatrooms.${ids.chatroomId}.v2` } }));
+    } else if (frame.event === 'pusher_internal:subscription_succeeded') {
+      connected = true;
+      failures = 0;
+      log.info(`Joined Kick chat ${channel}`, { platform: 'kick', channel, chatroomId: ids.chatroomId });
+    } else if (frame.event === 'pusher:ping') {
+      socket.send(JSON.stringify({ event: 'pusher:pong', data: {} }));
+    } else if (frame.event === 'App\\Events\\ChatMessageEvent') {
+      try {
+        const data = typeof frame.data === 'string' ? JSON.parse(frame.data) : frame.data;
+        onMessage({ user: data.sender?.username || 'unknown', text: data.content || '' });
+      } catch (_) {
+        // ignore malformed chat payloads
+      }
+    }
+  }
+
+  // connect() can throw past its own handling, e.g. `new WebSocket` on a bad
+  // KICK_PUSHER_URL; that counts as one more failed attempt
+  function start() {
+    connect().catch((err) => {
+      log.error(`Kick chat: ${err.message}`, { platform: 'kick', channel });
+      scheduleReconnect();
+    });
+  }
+
+  async function connect() {
+    if (!ids) {
+      try {
+        ids = await fetchChannelInfo(channel, channelApiUrl);
+      } catch (err) {
+        log.error(`Kick chat: ${err.message}`, { platform: 'kick', channel });
+        scheduleReconnect();
+        return;
+      }
+    }
+    if (closed) return;
+    socket = new WebSocket(pusherUrl);
+    socket.on('message', (data) => handleFrame(data.toString()));
+    socket.on('error', (err) => log.error(`Kick chat error: ${err.message}`, { platform: 'kick', channel }));
+    socket.on('close', () => {
+      socket = null;
+      scheduleReconnect();
+    });
+  }
+
+  function say(text) {
+    if (!canSend || !ids) return false;
+    const content = text.replace(/[\r\n]+/g, ' ').slice(0, MAX_MESSAGE_LENGTH);
+    const body = ids.broadcasterUserId ? { type: 'user', broadcaster_user_id: ids.broadcasterUserId, content } : { type: 'bot', content };
+    fetch(`${apiUrl.replace(/\/$/, '')}/chat`, {
+      method: 'POST',
+      headers: { authorization: `Bearer ${token}`, 'content-type': 'application/json', accept: 'application/json' },
+      body: JSON.stringify(body),
+    })
+      .then((res) => {
+        if (!res.ok) log.error(`Kick chat send failed with ${res.status}`, { platform: 'kick', channel });
+      })
+      .catch((err) => log.error(`Kick chat send failed: ${err.message}`, { platform: 'kick', channel }));
+    return true;
+  }
+
+  function close() {
+    closed = true;
+    clearTimeout(retryTimer);
+    if (socket) socket.close();
+  }
+
+  start();
+  return { platform: 'kick', channel, canSend, say, close, isConnected: () => connected };
+}
+
+module.exports = { createKickChat };
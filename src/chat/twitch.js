@@ -0,0 +1,118 @@
+'use strict';
+
+const net = require('net');
+const tls = require('tls');
+const { log } = require('../log');
+
+const MAX_MESSAGE_LENGTH = 500;
+
+// "@tags :prefix COMMAND param param :trailing" -> { tags, prefix, command, params }
+function parseIrcLine(line) {
+  let rest = line;
+  const tags = {};
+  if (rest.startsWith('@')) {
+    const space = rest.indexOf(' ');
+    for (const pair of rest.slice(1, space).split(';')) {
+      const [key, value = ''] = pair.split('=');
+      tags[key] = value;
+    }
+    rest = rest.slice(space + 1);
+  }
+  let prefix = null;
+  if (rest.startsWith(':')) {
+    const space = rest.indexOf(' ');
+    prefix = rest.slice(1, space);
+    rest = rest.slice(space + 1);
+  }
+  const trailingAt = rest.indexOf(' :');
+  const trailing = trailingAt >= 0 ? rest.slice(trailingAt + 2) : null;
+  const params = (trailingAt >= 0 ? rest.slice(0, trailingAt) : rest).split(' ').filter(Boolean);
+  const command = params.shift();
+  if (trailing !== null) params.push(trailing);
+  return { tags, prefix, command, params };
+}
+
+// Twitch chat over IRC. Without a token it joins anonymously and can only
+// read. Host, port and TLS are configurable so it can run against a local
+// IRC server. Reconnects with backoff until closed.
+function createTwitchChat({ channel, username, token, host = 'irc.chat.twitch.tv', port = 6697, secure = true, onMessage }) {
+  const room = `#${channel.toLowerCase()}`;
+  const canSend = !!(username && token);
+  let socket = null;
+  let connected = false;
+  let closed = false;
+  let failures = 0;
+  let retryTimer = null;
+
+  function write(line) {
+    if (socket && !socket.destroyed) socket.write(`${line}\r\n`);
+  }
+
+  function handleLine(line) {
+    const message = parseIrcLine(line);
+    if (message.command === 'PING') {
+      write(`PONG :${message.params[0] || 'tmi.twitch.tv'}`);
+    } else if (message.command === '001') {
+      write(`JOIN ${room}`);
+    } else if (message.command === 'JOIN') {
+      connected = true;
+      failures = 0;
+      log.info(`Joined Twitch chat ${room}`, { platform: 'twitch', channel });
+    } else if (message.command === 'RECONNECT') {
+      socket.destroy();
+    } else if (message.command === 'NOTICE' && /authentication failed|improperly formatted auth/i.test(message.params[1] || '')) {
+      log.error(`Twitch chat login failed: ${message.params[1]}`, { platform: 'twitch', channel });
+    } else if (message.command === 'PRIVMSG' && message.params[0] === room) {
+      const user = message.tags['display-name'] || (message.prefix || '').split('!')[0];
+      onMessage({ user, text: message.params[1] || '' });
+    }
+  }
+
+  function connect() {
+    const options = { host, port };
+    socket = secure ? tls.connect({ ...options, servername: host }) : net.connect(options);
+    socket.setEncoding('utf8');
+    let buffer = '';
+    socket.on(secure ? 'secureConnect' : 'connect', () => {
+      write('CAP REQ :twitch.tv/tags twitch.tv/commands');
+      write(`PASS ${canSend ? (token.startsWith('oauth:') ? token : `oauth:${token}`) : 'SCHMOOPIIE'}`);
+      write(`NICK ${canSend ? username.toLowerCase() : `justinfan${Math.floor(Math.random() * 80000) + 10000}`}`);
+    });
+    socket.on('data', (data) => {
+      buffer += data;
+      const lines = buffer.split('\r\n');
+      buffer = lines.pop();
+      for (const line of lines) if (line) handleLine(line);
+    });
+    socket.on('error', (err) => log.error(`Twitch chat error: ${err.message}`, { platform: 'twitch', channel }));
+    socket.on('close', () => {
+      connected = false;
+      socket = null;
+      if (closed) return;
+      failures += 1;
+      const delay = Math.min(30000, 1000 * 2 ** (failures - 1));
+      log.warn(`Twitch chat disconnected; reconnecting in ${delay}ms`, { platform: 'twitch', channel, attempt: failures });
+      retryTimer = setTimeout(connect, delay);
+    });
+  }
+
+  function say(text) {
+    if (!canSend || !connected) return false;
+    write(`PRIVMSG ${room} :${text.replace(/[\r\n]+/g, ' ').slice(0, MAX_MESSAGE_LENGTH)}`);
+    return true;
+  }
+
+  function close() {
+    closed = true;
+    clearTimeout(retryTimer);
+    if (socket) {
+      write(`PART ${room}`);
+      socket.end();
+    }
+  }
+
+  connect();
+  return { platform: 'twitch', channel, canSend, say, close, isConnected: () => connected };
+}
+
+module.exports = { createTwitchChat, parseIrcLine };
@@ -0,0 +1,145 @@
+'use strict';
+
+const { parseTimestamp } = require('./media');
+const { speakerTotals, timecode } = require('./export');
+const { log } = require('./log');
+
+const OUTPUT_FORMATS = ['jsonl', 'srt', 'text'];
+
+// Events other than finals that jsonl output passes through
+const JSONL_EVENTS = new Set(['keyword', 'format-alert', 'silence']);
+
+function validateOutputFormat(value) {
+  const format = String(value).trim().toLowerCase();
+  if (!OUTPUT_FORMATS.includes(format)) throw new Error(`Unknown output format "${value}". Use one of: ${OUTPUT_FORMATS.join(', ')}`);
+  return format;
+}
+
+function clock(seconds) {
+  return timecode(seconds, '.').slice(0, 8);
+}
+
+// When to stop, in epoch ms: `duration` after `now` ("90", "1:30:00"), or
+// `until` a wall-clock time ("21:30", the next one to come) or an ISO date.
+// Null without either.
+function parseDeadline({ duration, until }, now = Date.now()) {
+  if (duration !== undefined && until !== undefined) throw new Error('Use either --duration or --until, not both');
+  if (duration !== undefined) {
+    const seconds = parseTimestamp(duration);
+    if (!Number.isFinite(seconds) || seconds <= 0) throw new Error(`Invalid --duration "${duration}". Use seconds or [hh:]mm:ss`);
+    return now + seconds * 1000;
+  }
+  if (until === undefined) return null;
+  const time = /^(\d{1,2}):(\d{2})(?::(\d{2}))?$/.exec(String(until).trim());
+  if (time && Number(time[1]) < 24 && Number(time[2]) < 60 && Number(time[3] || 0) < 60) {
+    const at = new Date(now);
+    at.setHours(Number(time[1]), Number(time[2]), Number(time[3] || 0), 0);
+    if (at.getTime() <= now) at.setDate(at.getDate() + 1);
+    return at.getTime();
+  }
+  const at = Date.parse(until);
+  if (!Number.isFinite(at) || time) throw new Error(`Invalid --until "${until}". Use HH:MM[:SS] or an ISO date`);
+  if (at <= now) throw new Error(`--until ${until} is in the past`);
+  return at;
+}
+
+// What a finished session came to, from its record and last snapshot
+function summarizeRun(record, snapshot) {
+  return {
+    type: 'summary',
+    sessionId: record.id,
+    source: record.url || record.fileName || (record.mode === 'mic' ? `mic ${record.device || 'default'}` : null),
+    provider: record.provider,
+    createdAt: record.createdAt,
+    endedAt: record.endedAt,
+    audioSeconds: Math.round(Math.max(0, ...(record.transcript || []).map((entry) => entry.end))),
+    elapsedSeconds: Math.round((snapshot.uptimeMs || 0) / 1000),
+    words: record.wordsCount,
+    segments: (record.transcript || []).length,
+    speakers: speakerTotals(record).map((t) => ({
+      speaker: t.speaker,
+      label: record.speakerLabels?.[t.speaker] || null,
+      name: t.name,
+      seconds: Math.round(t.seconds * 10) / 10,
+      percent: Math.round(t.percent * 10) / 10,
+    })),
+    deadAirSeconds: record.deadAirSeconds || 0,
+    keywordHits: (record.keywordHits || []).length,
+    recording: record.recording ? { format: record.recording.format, file: record.recording.file, seconds: Math.round(record.recording.seconds) } : null,
+    error: record.error || null,
+  };
+}
+
+function summaryText(summary) {
+  const lines = [
+    `Summary: ${summary.segments} segments, ${summary.words} words over ${clock(summary.audioSeconds)} of ${summary.source || 'audio'}`,
+    `  Session ${summary.sessionId}, ran for ${clock(summary.elapsedSeconds)}`,
+  ];
+  for (const s of summary.speakers) lines.push(`  ${s.name}: ${clock(s.seconds)} (${s.percent.toFixed(0)}%)`);
+  if (summary.deadAirSeconds) lines.push(`  Dead air: ${clock(summary.deadAirSeconds)}`);
+  if (summary.keywordHits) lines.push(`  Keyword hits: ${summary.keywordHits}`);
+  if (summary.recording) lines.push(`  Recording: ${summary.recording.file}`);
+  if (summary.error) lines.push(`  Error: ${summary.error}`);
+  return `${lines.join('\n')}\n`;
+}
+
+// Follows the session the CLI started: writes each final turn to `stream` as
+// jsonl, SRT cues or text lines, stops the session at `stopAt` and, once it
+// has ended, writes a summary (a last jsonl line, the end of the text, or
+// stderr for SRT, which has no room for it). `done` resolves to the summary.
+function createCliRun({ format, stream = process.stdout, stopAt = null }) {
+  let session = null;
+  let timer = null;
+  let cues = 0;
+  let finished = false;
+  let resolveDone;
+  const done = new Promise((resolve) => (resolveDone = resolve));
+
+  function name(label) {
+    return session.speakerNames()[label] || `Speaker ${label}`;
+  }
+
+  function writeFinal(obj) {
+    for (const turn of obj.segments || []) {
+      if (format === 'jsonl') {
+        stream.write(`${JSON.stringify({ type: 'final', sessionId: session.id, segmentId: obj.segmentId, speaker: turn.speaker, label: turn.label, name: name(turn.label), start: turn.start, end: turn.end, text: turn.text })}\n`);
+      } else if (format === 'srt') {
+        cues += 1;
+        stream.write(`${cues}\n${timecode(turn.start, ',')} --> ${timecode(turn.end, ',')}\n${name(turn.label)}: ${turn.text}\n\n`);
+      } else {
+        stream.write(`[${clock(turn.start)}] ${name(turn.label)}: ${turn.text}\n`);
+      }
+    }
+  }
+
+  function finish(snapshot) {
+    finished = true;
+    clearTimeout(timer);
+    const summary = summarizeRun(session.record(), snapshot);
+    if (format === 'jsonl') stream.write(`${JSON.stringify(summary)}\n`);
+    else if (format === 'text') stream.write(`\n${summaryText(summary)}`);
+    else process.stderr.write(summaryText(summary));
+    if (stream === process.stdout) resolveDone(summary);
+    else stream.end(() => resolveDone(summary));
+  }
+
+  function follow(source) {
+    session = source;
+    if (stopAt === null) return;
+    timer = setTimeout(() => {
+      log.info('Time is up; stopping the session', { sessionId: session.id });
+      session.stop();
+    }, Math.max(0, stopAt - Date.now()));
+  }
+
+  function handle(source, obj) {
+    if (source !== session || finished) return;
+    if (obj.type === 'final') writeFinal(obj);
+    else if (obj.type === 'analytics' && obj.endedAt) finish(obj);
+    else if (format === 'jsonl' && JSONL_EVENTS.has(obj.type)) stream.write(`${JSON.stringify({ ...obj, sessionId: session.id })}\n`);
+  }
+
+  return { follow, handle, done };
+}
+
+module.exports = { OUTPUT_FORMATS, validateOutputFormat, parseDeadline, createCliRun };
@@ -0,0 +1,114 @@
+'use strict';
+
+const FORMATS = {
+  srt: { ext: 'srt', contentType: 'application/x-subrip; charset=utf-8' },
+  vtt: { ext: 'vtt', contentType: 'text/vtt; charset=utf-8' },
+  json: { ext: 'json', contentType: 'application/json; charset=utf-8' },
+  md: { ext: 'md', contentType: 'text/markdown; charset=utf-8' },
+};
+
+function speakerName(record, speaker) {
+  const label = (record.speakerLabels || {})[speaker];
+  if (label && record.speakerNames && record.speakerNames[label]) return record.speakerNames[label];
+  return label ? `Speaker ${label}` : `Speaker ${speaker}`;
+}
+
+// One cue per speaker turn across all final segments
+function transcriptCues(record) {
+  const cues = [];
+  for (const entry of record.transcript || []) {
+    for (const turn of entry.turns || []) {
+      cues.push({ start: turn.start, end: turn.end, speaker: turn.speaker, name: speakerName(record, turn.speaker), text: turn.text });
+    }
+  }
+  return cues;
+}
+
+function speakerTotals(record) {
+  const durations = record.speakerDurations || {};
+  const total = Object.values(durations).reduce((sum, sec) => sum + sec, 0);
+  return Object.entries(durations)
+    .sort((a, b) => b[1] - a[1])
+    .map(([speaker, seconds]) => ({
+      speaker,
+      name: speakerName(record, speaker),
+      seconds,
+      percent: total ? (seconds / total) * 100 : 0,
+    }));
+}
+
+function timecode(seconds, separator) {
+  const ms = Math.max(0, Math.round(seconds * 1000));
+  const hh = String(Math.floor(ms / 3600000)).padStart(2, '0');
+  const mm = String(Math.floor(ms / 60000) % 60).padStart(2, '0');
+  const ss = String(Math.floor(ms / 1000) % 60).padStart(2, '0');
+  return `${hh}:${mm}:${ss}${separator}${String(ms % 1000).padStart(3, '0')}`;
+}
+
+function totalsLines(record) {
+  return speakerTotals(record).map((t) => `${t.name}: ${timecode(t.seconds, '.').slice(0, 8)} (${t.percent.toFixed(0)}%)`);
+}
+
+function renderSrt(record, { totals }) {
+  const cues = transcriptCues(record);
+  const blocks = cues.map((cue, i) => `${i + 1}\n${timecode(cue.start, ',')} --> ${timecode(cue.end, ',')}\n${cue.name}: ${cue.text}`);
+  if (totals && cues.length) {
+    // SRT has no comments, so totals go in a closing cue
+    const start = cues[cues.length - 1].end;
+    blocks.push(`${cues.length + 1}\n${timecode(start, ',')} --> ${timecode(start + 5, ',')}\n${totalsLines(record).join('\n')}`);
+  }
+  return `${blocks.join('\n\n')}\n`;
+}
+
+function renderVtt(record, { totals }) {
+  const blocks = ['WEBVTT'];
+  if (totals) blocks.push(`NOTE Speaking time\n${totalsLines(record).join('\n')}`);
+  for (const cue of transcriptCues(record)) {
+    blocks.push(`${timecode(cue.start, '.')} --> ${timecode(cue.end, '.')}\n<v ${cue.name}>${cue.text}`);
+  }
+  return `${blocks.join('\n\n')}\n`;
+}
+
+function renderJson(record, { totals }) {
+  const out = {
+    id: record.id,
+    createdAt: record.createdAt,
+    endedAt: record.endedAt,
+    platform: record.platform,
+    url: record.url,
+    speakerNames: record.speakerNames,
+    segments: transcriptCues(record),
+  };
+  if (totals) out.totals = speakerTotals(record);
+  return `${JSON.stringify(out, null, 2)}\n`;
+}
+
+function renderMarkdown(record, { totals }) {
+  const lines = ['# Debate transcript', ''];
+  const source = record.url || record.platform || record.mode;
+  if (source) lines.push(`- Source: ${source}`);
+  if (record.createdAt) lines.push(`- Date: ${record.createdAt}`);
+  lines.push('');
+  if (totals) {
+    lines.push('## Speaking time', '', '| Speaker | Time | Share |', '| --- | --- | --- |');
+    for (const t of speakerTotals(record)) {
+      lines.push(`| ${t.name} | ${timecode(t.seconds, '.').slice(0, 8)} | ${t.percent.toFixed(0)}% |`);
+    }
+    lines.push('');
+  }
+  lines.push('## Transcript', '');
+  for (const cue of transcriptCues(record)) {
+    lines.push(`**[${timecode(cue.start, '.').slice(0, 8)}] ${cue.name}:** ${cue.text}`, '');
+  }
+  return lines.join('\n');
+}
+
+const RENDERERS = { srt: renderSrt, vtt: renderVtt, json: renderJson, md: renderMarkdown };
+
+function renderTranscript(record, format, options = {}) {
+  const render = RENDERERS[format];
+  if (!render) throw new Error(`Unsupported export format "${format}". Use one of: ${Object.keys(FORMATS).join(', ')}`);
+  return render(record, options);
+}
+
+module.exports = { renderTranscript, speakerName, speakerTotals, transcriptCues, timecode, FORMATS };
@@ -0,0 +1,215 @@
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const { log } = require('../log');
+
+const BUILTIN_PRESETS_DIR = path.join(__dirname, 'presets');
+const DEFAULT_WARN_SECONDS = 30;
+
+function slugify(text) {
+  return String(text).toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '').slice(0, 64) || 'format';
+}
+
+// Normalize a user-supplied format, throwing on anything we can't run.
+// Rounds may name the speaker label ("A", "B") who holds the floor.
+function validateFormat(input) {
+  if (!input || typeof input !== 'object') throw new Error('Format must be a JSON object');
+  const name = String(input.name || '').trim();
+  if (!name) throw new Error('Format needs a name');
+  if (!Array.isArray(input.rounds) || input.rounds.length === 0) throw new Error('Format needs at least one round');
+
+  const rounds = input.rounds.map((round, i) => {
+    const seconds = Number(round?.seconds);
+    if (!Number.isFinite(seconds) || seconds <= 0) throw new Error(`Round ${i + 1} needs a positive "seconds"`);
+    return {
+      name: String(round.name || `Round ${i + 1}`),
+      seconds,
+      speaker: round.speaker ? String(round.speaker) : null,
+    };
+  });
+
+  const budgets = {};
+  for (const [label, seconds] of Object.entries(input.budgets || {})) {
+    if (!(Number(seconds) > 0)) throw new Error(`Budget for ${label} must be a positive number of seconds`);
+    budgets[label] = Number(seconds);
+  }
+
+  const warnSeconds = input.warnSeconds === undefined ? DEFAULT_WARN_SECONDS : Number(input.warnSeconds);
+  if (!Number.isFinite(warnSeconds) || warnSeconds < 0) throw new Error('warnSeconds must be zero or more');
+
+  return { id: slugify(input.id || name), name, autoAdvance: !!input.autoAdvance, warnSeconds, budgets, rounds };
+}
+
+function readPresetDir(dir) {
+  if (!dir || !fs.existsSync(dir)) return [];
+  const presets = [];
+  for (const file of fs.readdirSync(dir)) {
+    if (!file.endsWith('.json')) continue;
+    try {
+      presets.push(validateFormat(JSON.parse(fs.readFileSync(path.join(dir, file), 'utf8'))));
+    } catch (err) {
+      log.error(`Skipping format preset ${file}: ${err.message}`);
+    }
+  }
+  return presets;
+}
+
+// Built-in presets plus any saved from the UI; saved ones win on id clashes
+function loadPresets(customDir) {
+  const byId = new Map();
+  for (const preset of [...readPresetDir(BUILTIN_PRESETS_DIR), ...readPresetDir(customDir)]) {
+    byId.set(preset.id, preset);
+  }
+  return [...byId.values()];
+}
+
+async function savePreset(customDir, input) {
+  const format = validateFormat(input);
+  await fs.promises.mkdir(customDir, { recursive: true });
+  await fs.promises.writeFile(path.join(customDir, `${format.id}.json`), JSON.stringify(format, null, 2));
+  return format;
+}
+
+// Runs a loaded format: round countdowns on the wall clock, speaker budgets
+// from credited speaking time. `getSpeakerSeconds` returns { label: seconds };
+// `emit` receives `format` snapshots and `format-alert` events.
+function createFormatEngine({ getSpeakerSeconds, emit }) {
+  let format = null;
+  let index = -1; // -1 = loaded, not started
+  let elapsedMs = 0;
+  let runningSince = null;
+  let alerted = new Set();
+  let ticker = null;
+
+  function roundElapsedMs() {
+    return elapsedMs + (runningSince ? Date.now() - runningSince : 0);
+  }
+
+  function budgetStates() {
+    const used = getSpeakerSeconds() || {};
+    return Object.entries(format.budgets).map(([label, budget]) => ({
+      label,
+      budget,
+      used: used[label] || 0,
+      remaining: budget - (used[label] || 0),
+    }));
+  }
+
+  function snapshot() {
+    if (!format) return { type: 'format', format: null };
+    const round = format.rounds[index] || null;
+    return {
+      type: 'format',
+      format,
+      roundIndex: index,
+      round,
+      nextRound: format.rounds[index + 1] || null,
+      running: !!runningSince,
+      finished: index >= format.rounds.length,
+      remainingSeconds: round ? round.seconds - roundElapsedMs() / 1000 : null,
+      budgets: budgetStates(),
+    };
+  }
+
+  function alertOnce(key, alert) {
+    if (alerted.has(key)) return;
+    alerted.add(key);
+    emit({ type: 'format-alert', ...alert });
+  }
+
+  // Raise warning/overtime alerts and auto-advance finished rounds
+  function check() {
+    if (!format) return;
+    const round = format.rounds[index];
+    if (round && runningSince) {
+      const remaining = round.seconds - roundElapsedMs() / 1000;
+      const base = { scope: 'round', roundIndex: index, roundName: round.name, label: round.speaker, remainingSeconds: remaining };
+      if (remaining <= 0) {
+        if (format.autoAdvance) {
+          alertOnce(`round:${index}:end`, { ...base, level: 'end', message: `${round.name} is over` });
+          goTo(index + 1);
+          return;
+        }
+        alertOnce(`round:${index}:overtime`, { ...base, level: 'overtime', message: `${round.name} is over time` });
+      } else if (remaining <= format.warnSeconds) {
+        alertOnce(`round:${index}:warning`, { ...base, level: 'warning', message: `${Math.ceil(remaining)}s left in ${round.name}` });
+      }
+    }
+    for (const budget of budgetStates()) {
+      const base = { scope: 'budget', label: budget.label, remainingSeconds: budget.remaining };
+      if (budget.remaining <= 0) {
+        alertOnce(`budget:${budget.label}:overtime`, { ...base, level: 'overtime', message: `Speaker ${budget.label} has used their whole budget` });
+      } else if (budget.remaining <= format.warnSeconds) {
+        alertOnce(`budget:${budget.label}:warning`, { ...base, level: 'warning', message: `Speaker ${budget.label} has ${Math.ceil(budget.remaining)}s of budget left` });
+      }
+    }
+  }
+
+  function goTo(nextIndex) {
+    const wasRunning = !!runningSince || index < 0;
+    index = Math.max(0, Math.min(nextIndex, format.rounds.length));
+    elapsedMs = 0;
+    runningSince = wasRunning && index < format.rounds.length ? Date.now() : null;
+    emit(snapshot());
+  }
+
+  function load(input) {
+    format = validateFormat(input);
+    index = -1;
+    elapsedMs = 0;
+    runningSince = null;
+    alerted = new Set();
+    if (!ticker) {
+      ticker = setInterval(check, 1000);
+      if (ticker.unref) ticker.unref();
+    }
+    emit(snapshot());
+    return format;
+  }
+
+  function unload() {
+    format = null;
+    clearInterval(ticker);
+    ticker = null;
+    runningSince = null;
+    emit(snapshot());
+  }
+
+  function start() {
+    if (!format) throw new Error('No format loaded');
+    if (index < 0) return goTo(0);
+    if (!runningSince && index < format.rounds.length) {
+      runningSince = Date.now();
+      emit(snapshot());
+    }
+  }
+
+  function pause() {
+    if (!format) throw new Error('No format loaded');
+    if (runningSince) {
+      elapsedMs += Date.now() - runningSince;
+      runningSince = null;
+      emit(snapshot());
+    }
+  }
+
+  function next() {
+    if (!format) throw new Error('No format loaded');
+    goTo(index + 1);
+  }
+
+  function previous() {
+    if (!format) throw new Error('No format loaded');
+    goTo(index - 1);
+  }
+
+  function reset() {
+    if (!format) throw new Error('No format loaded');
+    load(format);
+  }
+
+  return { load, unload, start, pause, next, previous, reset, check, snapshot };
+}
+
+module.exports = { createFormatEngine, validateFormat, loadPresets, savePreset };
@@ -2,13 +2,25 @@
 'use strict';
 
 require('dotenv').config();
-const { spawn } = require('child_process');
-const fs = require('fs');
-const readline = require('readline');
-const os = require('os');
 const express = require('express');
+const fs = require('fs');
 const path = require('path');
-const { createClient, LiveTranscriptionEvents } = require('@deepgram/sdk');
+const { createProvider } = require('./providers');
+const { createSessionStore, summarize } = require('./store');
+const { createSession } = require('./session');
+const { listMicDevices, getMicDevices, fetchVodInfo, parseTimestamp } = require('./media');
+const { renderTranscript, FORMATS: EXPORT_FORMATS } = require('./export');
+const { loadPresets, savePreset } = require('./formats');
+const { createAuth, createRateLimiter } = require('./auth');
+const { createUploadReceiver, removeUpload } = require('./upload');
+const { validateWatchlist } = require('./watchlist');
+const { createWebhooks } = require('./webhooks');
+const { createChatBot, chatBotConfigFromEnv } = require('./chat');
+const { validateTranscriptionOptions, loadTranscriptionPresets, saveTranscriptionPreset } = require('./transcription');
+const { createMetrics } = require('./metrics');
+const { validateOutputFormat, parseDeadline, createCliRun } = require('./cli');
+const { RECORDING_FORMATS, validateRecordingFormat, resolveClipRange, clipSubtitles, exportClip } = require('./recording');
+const { log, configureLogging } = require('./log');
 
 function exitWith(message, code = 1) {
   console.error(message);
@@ -23,291 +35,49 @@ function requireEnv(name) {
   return value;
 }
 
-function runCommand(command, args, options = {}) {
-  return new Promise((resolve, reject) => {
-    const child = spawn(command, args, { stdio: ['ignore', 'pipe', 'pipe'], ...options });
-    let stdout = '';
-    let stderr = '';
-
-    child.stdout.on('data', (d) => (stdout += d.toString()));
-    child.stderr.on('data', (d) => (stderr += d.toString()));
-
-    child.on('error', (err) => reject(err));
-
-    child.on('close', (code) => {
-      if (code === 0 || options.allowNonZeroExit) {
-        resolve({ stdout: stdout.trim(), stderr: stderr.trim(), code });
-      } else {
-        reject(new Error(`${command} exited with code ${code}: ${stderr || stdout}`));
-      }
-    });
-  });
-}
-
-function buildCookieHeaderFromNetscape(text) {
-  try {
-    const lines = text.split(/\r?\n/);
-    const now = Math.floor(Date.now() / 1000);
-    const cookies = [];
-    for (const line of lines) {
-      if (!line || line.startsWith('#')) continue;
-      const parts = line.split('\t');
-      if (parts.length < 7) continue;
-      const domain = parts[0];
-      const expires = parseInt(parts[4], 10);
-      const name = parts[5];
-      const value = parts[6];
-      if (Number.isFinite(expires) && expires > 0 && expires < now) continue;
-      if (!/youtube\.|google\./.test(domain)) continue;
-      cookies.push(`${name}=${value}`);
-    }
-    return cookies.length ? cookies.join('; ') : null;
-  } catch {
-    return null;
-  }
-}
-
-// Initialize cookie sources for resolving restricted YouTube URLs
-const ytCookieState = (() => {
-  const result = { cookiesPath: null, cookieHeader: null };
-  try {
-    const b64 = process.env.YTDLP_COOKIES_BASE64;
-    const pathEnv = process.env.YTDLP_COOKIES_PATH;
-    if (b64) {
-      const buf = Buffer.from(b64, 'base64');
-      const tmpPath = '/tmp/yt_cookies.txt';
-      fs.writeFileSync(tmpPath, buf);
-      result.cookiesPath = tmpPath;
-      result.cookieHeader = buildCookieHeaderFromNetscape(buf.toString('utf8'));
-    } else if (pathEnv && fs.existsSync(pathEnv)) {
-      result.cookiesPath = pathEnv;
-      try {
-        const text = fs.readFileSync(pathEnv, 'utf8');
-        result.cookieHeader = buildCookieHeaderFromNetscape(text);
-      } catch {}
-    } else if (process.env.YTDLP_COOKIE_HEADER) {
-      result.cookieHeader = process.env.YTDLP_COOKIE_HEADER;
-    }
-  } catch (e) {
-    console.error('Failed to initialize cookies:', e?.message || e);
-  }
-  return result;
-})();
-
-async function resolveMediaUrl(pageUrl) {
-  let ytErrorMsg = null;
-  let slErrorMsg = null;
-
-  // Try yt-dlp (covers YouTube, Twitch, Kick for many cases)
-  try {
-    const ytArgs = ['-g', '-f', 'bestaudio'];
-    if (ytCookieState.cookiesPath) {
-      ytArgs.push('--cookies', ytCookieState.cookiesPath);
-    }
-    ytArgs.push(pageUrl);
-    const { stdout } = await runCommand('yt-dlp', ytArgs);
-    const lines = stdout.split(/\r?\n/).map((l) => l.trim()).filter(Boolean);
-    if (lines.length > 0) {
-      return lines[0];
-    }
-  } catch (err) {
-    ytErrorMsg = err?.message || String(err);
-    console.error('yt-dlp failed to resolve media URL:', ytErrorMsg);
-  }
-  // Fallback: streamlink (widely supports live platforms)
-  try {
-    const slArgs = [];
-    if (ytCookieState.cookieHeader) {
-      slArgs.push('--http-header', `Cookie=${ytCookieState.cookieHeader}`);
-    }
-    slArgs.push('--stream-url', pageUrl, 'best');
-    const { stdout } = await runCommand('streamlink', slArgs);
-    const url = stdout.trim();
-    if (url) return url;
-  } catch (err) {
-    slErrorMsg = err?.message || String(err);
-    console.error('streamlink failed to resolve media URL:', slErrorMsg);
-  }
-
-  const hint = [];
-  if (ytCookieState.cookiesPath || ytCookieState.cookieHeader) {
-    hint.push('cookies provided');
-  } else {
-    hint.push('no cookies');
-  }
-  const detail = `(yt-dlp: ${ytErrorMsg || 'n/a'}; streamlink: ${slErrorMsg || 'n/a'}; ${hint.join(', ')})`;
-  throw new Error(`Failed to resolve a direct media URL. Ensure yt-dlp or streamlink is installed and the URL is a valid livestream. ${detail}`);
-}
-
-function startFfmpegPcmStream(mediaUrl) {
-  const ffArgs = [
-    '-hide_banner',
-    '-loglevel', 'error',
-    '-i', mediaUrl,
-    '-vn',
-    '-ac', '1',
-    '-ar', '16000',
-    '-f', 's16le',
-    '-acodec', 'pcm_s16le',
-    'pipe:1',
-  ];
-  const ff = spawn('ffmpeg', ffArgs, { stdio: ['ignore', 'pipe', 'pipe'] });
-  return ff;
-}
-
-function startFfmpegMicStream(deviceArg) {
-  const platform = process.platform;
-  let ffArgs;
-
-  if (platform === 'darwin') {
-    // macOS: avfoundation input. Device format ":<audio_index>". Default to :0
-    const input = deviceArg ? deviceArg : ':0';
-    ffArgs = [
-      '-hide_banner',
-      '-loglevel', 'error',
-      '-f', 'avfoundation',
-      '-i', input,
-      '-ac', '1',
-      '-ar', '16000',
-      '-f', 's16le',
-      '-acodec', 'pcm_s16le',
-      'pipe:1',
-    ];
-  } else if (platform === 'win32') {
-    // Windows: dshow input. Device format "audio=<DEVICE_NAME>"
-    const input = deviceArg ? `audio=${deviceArg}` : 'audio=default';
-    ffArgs = [
-      '-hide_banner',
-      '-loglevel', 'error',
-      '-f', 'dshow',
-      '-i', input,
-      '-ac', '1',
-      '-ar', '16000',
-      '-f', 's16le',
-      '-acodec', 'pcm_s16le',
-      'pipe:1',
-    ];
-  } else {
-    // Linux: prefer PulseAudio if available; fallback to ALSA default
-    const input = deviceArg || 'default';
-    ffArgs = [
-      '-hide_banner',
-      '-loglevel', 'error',
-      '-f', 'pulse',
-      '-i', input,
-      '-ac', '1',
-      '-ar', '16000',
-      '-f', 's16le',
-      '-acodec', 'pcm_s16le',
-      'pipe:1',
-    ];
-  }
-
-  const ff = spawn('ffmpeg', ffArgs, { stdio: ['ignore', 'pipe', 'pipe'] });
-  return ff;
-}
-
-async function listMicDevices() {
-  const platform = process.platform;
-  try {
-    if (platform === 'darwin') {
-      // avfoundation lists devices via this special input
-      const { stderr } = await runCommand('ffmpeg', ['-f', 'avfoundation', '-list_devices', 'true', '-i', '""'], { allowNonZeroExit: true });
-      console.log('Available avfoundation devices (use the audio index as ":<index>"):\n');
-      console.log(stderr);
-      return;
-    }
-    if (platform === 'win32') {
-      const { stderr } = await runCommand('ffmpeg', ['-list_devices', 'true', '-f', 'dshow', '-i', 'dummy'], { allowNonZeroExit: true });
-      console.log('Available dshow devices (use device name after "audio="):\n');
-      console.log(stderr);
-      return;
-    }
-    // Linux: try PulseAudio sources
-    try {
-      const { stdout } = await runCommand('pactl', ['list', 'short', 'sources']);
-      if (stdout.trim()) {
-        console.log('PulseAudio sources (use with --device <name>):\n');
-        console.log(stdout);
-        return;
-      }
-    } catch (_) { /* ignore */ }
-    // Fallback to ffmpeg listing via ALSA
-    const { stderr } = await runCommand('ffmpeg', ['-f', 'alsa', '-list_devices', 'true', '-i', 'dummy'], { allowNonZeroExit: true });
-    console.log('Available ALSA devices (use with --device hw:*,* or name):\n');
-    console.log(stderr);
-  } catch (err) {
-    console.error('Failed to list devices:', err.message);
-  }
-}
-
-// Return normalized list of microphone input choices for the UI
-async function getMicDevices() {
-  const platform = process.platform;
-  try {
-    if (platform === 'darwin') {
-      const { stderr } = await runCommand('ffmpeg', ['-f', 'avfoundation', '-list_devices', 'true', '-i', '""'], { allowNonZeroExit: true });
-      const lines = stderr.split(/\r?\n/);
-      const devices = [];
-      let inAudio = false;
-      for (const line of lines) {
-        if (line.includes('AVFoundation audio devices')) { inAudio = true; continue; }
-        if (line.includes('AVFoundation video devices')) { inAudio = false; continue; }
-        if (!inAudio) continue;
-        const m = line.match(/\[(\d+)\]\s+(.+)/);
-        if (m) {
-          devices.push({ id: `:${m[1]}`, label: m[2].trim() });
-        }
-      }
-      if (devices.length === 0) devices.push({ id: ':0', label: 'Default (:0)' });
-      return devices;
-    }
-    if (platform === 'win32') {
-      const { stderr } = await runCommand('ffmpeg', ['-list_devices', 'true', '-f', 'dshow', '-i', 'dummy'], { allowNonZeroExit: true });
-      const lines = stderr.split(/\r?\n/);
-      const devices = [];
-      let inAudio = false;
-      for (const line of lines) {
-        if (/DirectShow audio devices/.test(line)) { inAudio = true; continue; }
-        if (/DirectShow video devices/.test(line)) { inAudio = false; continue; }
-        if (!inAudio) continue;
-        const m = line.match(/"([^"]+)"/);
-        if (m) devices.push({ id: m[1], label: m[1] });
-      }
-      if (devices.length === 0) devices.push({ id: 'default', label: 'Default' });
-      return devices;
-    }
-    // Linux
-    try {
-      const { stdout } = await runCommand('pactl', ['list', 'short', 'sources']);
-      const devices = stdout.split(/\r?\n/).map((l) => l.trim()).filter(Boolean).map((l) => {
-        const parts = l.split(/\t/);
-        const name = parts[1];
-        const desc = parts[1];
-        return { id: name, label: desc };
-      });
-      if (devices.length === 0) devices.push({ id: 'default', label: 'Default' });
-      return devices;
-    } catch (_) {
-      // ALSA fallback unknown — return default
-      return [{ id: 'default', label: 'Default' }];
-    }
-  } catch (err) {
-    return [{ id: process.platform === 'win32' ? 'default' : (process.platform === 'darwin' ? ':0' : 'default'), label: 'Default' }];
-  }
-}
+// Options that take a value, as "--name value" or "--name=value"
+const VALUE_OPTIONS = {
+  '--language': 'language',
+  '--model': 'model',
+  '--endpointing': 'endpointing',
+  '--keywords': 'keywords',
+  '--transcription-preset': 'transcriptionPreset',
+  '--save-transcription-preset': 'saveTranscriptionPreset',
+  '--record': 'record',
+  '--format': 'format',
+  '--output': 'output',
+  '--port': 'port',
+  '--duration': 'duration',
+  '--until': 'until',
+};
 
 function parseArgs(argv) {
   const args = { flags: new Set(), values: {}, positionals: [] };
   for (let i = 0; i < argv.length; i += 1) {
     const token = argv[i];
-    if (token === '--mic') {
+    const [name, inline] = token.split(/=(.*)/s);
+    if (VALUE_OPTIONS[name]) {
+      if (inline === undefined) i += 1;
+      args.values[VALUE_OPTIONS[name]] = inline === undefined ? argv[i] : inline;
+    } else if (token === '--mic') {
       args.flags.add('mic');
+    } else if (token === '--filler-words') {
+      args.flags.add('fillerWords');
+    } else if (token === '--vod') {
+      args.flags.add('vod');
+    } else if (token === '--headless') {
+      args.flags.add('headless');
     } else if (token === '--list-devices') {
       args.flags.add('listDevices');
     } else if (token === '--device') {
       args.values.device = argv[i + 1];
       i += 1;
+    } else if (token === '--provider') {
+      args.values.provider = argv[i + 1];
+      i += 1;
+    } else if (token === '--replay') {
+      args.values.replay = argv[i + 1];
+      i += 1;
     } else if (token === '--help' || token === '-h') {
       args.flags.add('help');
     } else if (token.startsWith('--device=')) {
@@ -330,32 +100,27 @@ function printUsage() {
   console.log('  List available input devices:');
   console.log('    npm start -- --list-devices');
   console.log('');
+  console.log('  Choose a transcription provider (default: deepgram):');
+  console.log('    npm start -- --provider <deepgram|replay> [--replay <transcript.jsonl>]');
+  console.log('');
+  console.log('  Transcription options (also settable per session in the UI and on /start):');
+  console.log('    --language <en|es|...|auto|multi>  --model <nova-2|nova-3|...>  --endpointing <ms|false>');
+  console.log('    --keywords "Destiny:2,Hasan"  --filler-words  --transcription-preset <id>  --save-transcription-preset <name>');
+  console.log('');
+  console.log('  Record the session audio next to the transcript (default: RECORD_AUDIO, else off):');
+  console.log('    npm start -- <URL> --record <opus|mp3|off>');
+  console.log('');
+  console.log('  Run without the web server, writing the transcript and a summary on exit:');
+  console.log('    npm start -- --headless <URL|file|--mic> [--format <jsonl|srt|text>] [--output <file>]');
+  console.log('    [--duration <seconds|hh:mm:ss>] [--until <HH:MM|ISO date>] [--vod]');
+  console.log('  --format, --output, --duration and --until also work with the web server; --port overrides PORT.');
+  console.log('');
   console.log('Notes:');
   console.log('  - macOS: use avfoundation index like ":0" for default mic');
   console.log('  - Windows: pass device name as shown by --list-devices (without quotes), e.g. "Microphone (Realtek...)"');
   console.log('  - Linux: default PulseAudio source is "default"; pass pactl source name for others');
 }
 
-function formatTimestamp(seconds) {
-  const date = new Date(seconds * 1000);
-  const hh = String(date.getUTCHours()).padStart(2, '0');
-  const mm = String(date.getUTCMinutes()).padStart(2, '0');
-  const ss = String(date.getUTCSeconds()).padStart(2, '0');
-  return `${hh}:${mm}:${ss}`;
-}
-
-function detectPlatformFromUrl(url) {
-  try {
-    const { hostname } = new URL(url);
-    if (/youtube\.com$|youtu\.be$/.test(hostname)) return 'YouTube';
-    if (/twitch\.tv$/.test(hostname)) return 'Twitch';
-    if (/kick\.com$/.test(hostname)) return 'Kick';
-    return hostname;
-  } catch (_) {
-    return 'unknown';
-  }
-}
-
 async function main() {
   const argv = process.argv.slice(2);
   const args = parseArgs(argv);
@@ -370,255 +135,771 @@ async function main() {
     process.exit(0);
   }
 
-  const apiKey = requireEnv('DEEPGRAM_API_KEY');
-  const deepgram = createClient(apiKey);
+  // The session started from the command line can be written out as jsonl,
+  // SRT or text, to --output or stdout (logs then go to stderr), and stopped
+  // after --duration or at --until
+  const headless = args.flags.has('headless');
+  const hasCliSource = args.flags.has('mic') || !!args.positionals[0];
+  let outputFormat = null;
+  let stopAt = null;
+  let port = process.env.PORT ? Number(process.env.PORT) : 3000;
+  try {
+    if (headless || args.values.format || args.values.output) outputFormat = validateOutputFormat(args.values.format || 'jsonl');
+    stopAt = parseDeadline({ duration: args.values.duration, until: args.values.until });
+    if (args.values.port !== undefined) {
+      port = Number(args.values.port);
+      if (!Number.isInteger(port) || port < 0 || port > 65535) throw new Error(`Invalid --port "${args.values.port}"`);
+    }
+  } catch (e) {
+    exitWith(e.message);
+  }
+  if (!hasCliSource && (headless || outputFormat || stopAt !== null)) {
+    exitWith('--headless, --format, --output, --duration and --until need a URL, a local file or --mic to transcribe');
+  }
+
+  configureLogging({ format: process.env.LOG_FORMAT, stderr: !!outputFormat && !args.values.output });
+  const replayFile = args.values.replay || process.env.REPLAY_FILE;
+  const providerName = args.values.provider || (args.values.replay ? 'replay' : process.env.TRANSCRIPTION_PROVIDER) || 'deepgram';
+  const provider = createProvider(providerName, {
+    apiKey: providerName === 'deepgram' ? requireEnv('DEEPGRAM_API_KEY') : undefined,
+    file: replayFile || path.join(__dirname, '..', 'examples', 'replay-sample.jsonl'),
+    speed: process.env.REPLAY_SPEED,
+  });
+  log.info(`Transcription provider: ${provider.name}`, { provider: provider.name });
+
+  const store = createSessionStore(process.env.SESSIONS_DIR || path.join(process.cwd(), 'data', 'sessions'));
+  const formatsDir = process.env.FORMATS_DIR || path.join(process.cwd(), 'data', 'formats');
+  const webhooks = createWebhooks({ file: process.env.WEBHOOKS_FILE || path.join(process.cwd(), 'data', 'webhooks.json') });
+  const chatConfig = chatBotConfigFromEnv(process.env);
+  const chatBot = chatConfig ? createChatBot(chatConfig) : null;
+  const transcriptionPresetsDir = process.env.TRANSCRIPTION_PRESETS_DIR || path.join(process.cwd(), 'data', 'transcription-presets');
+
+  // Language, model, endpointing and keywords for a session: a saved preset's
+  // options, overridden by any given explicitly. Uploads pass them as a
+  // JSON string in the query.
+  function resolveTranscription({ transcription, transcriptionPreset } = {}) {
+    let options = transcription || {};
+    if (typeof options === 'string') {
+      try {
+        options = JSON.parse(options);
+      } catch {
+        throw badRequest('transcription must be a JSON object');
+      }
+    }
+    let base = {};
+    if (transcriptionPreset) {
+      const preset = loadTranscriptionPresets(transcriptionPresetsDir).find((p) => p.id === transcriptionPreset);
+      if (!preset) throw badRequest(`transcription preset "${transcriptionPreset}" not found`);
+      base = preset.options;
+    }
+    const explicit = Object.fromEntries(Object.entries(options).filter(([, value]) => value !== undefined && value !== null && value !== ''));
+    try {
+      return validateTranscriptionOptions({ ...base, ...explicit });
+    } catch (e) {
+      throw badRequest(e.message);
+    }
+  }
+
+  const { language, model, endpointing, keywords, transcriptionPreset, saveTranscriptionPreset: presetName } = args.values;
+  const fillerWords = args.flags.has('fillerWords') || undefined; // unset keeps the preset's choice
+  const cliTranscription = resolveTranscription({ transcription: { language, model, endpointing, keywords, fillerWords }, transcriptionPreset });
+  if (presetName) {
+    const preset = await saveTranscriptionPreset(transcriptionPresetsDir, { name: presetName, options: cliTranscription });
+    log.info(`Saved transcription preset "${preset.id}"`);
+  }
+
+  // Default audio recording for every session; starts can override it
+  let defaultRecord = null;
+  try {
+    defaultRecord = validateRecordingFormat(args.values.record ?? process.env.RECORD_AUDIO);
+  } catch (e) {
+    exitWith(e.message);
+  }
+
+  const reconnect = process.env.RECONNECT_MAX_ATTEMPTS !== undefined
+    ? { maxAttempts: Math.max(0, Number(process.env.RECONNECT_MAX_ATTEMPTS) || 0) }
+    : {};
+  const speechStats = process.env.FILLER_WORDS
+    ? { fillers: process.env.FILLER_WORDS.split(',').map((w) => w.trim()).filter(Boolean) }
+    : {};
+  const levels = Object.fromEntries([
+    ['silenceDb', process.env.SILENCE_THRESHOLD_DB],
+    ['voiceDb', process.env.VOICE_THRESHOLD_DB],
+    ['silenceAlertSeconds', process.env.SILENCE_ALERT_SECONDS],
+    ['deadAirMinSeconds', process.env.DEAD_AIR_MIN_SECONDS],
+  ].filter(([, value]) => value !== undefined && value !== '' && Number.isFinite(Number(value))).map(([key, value]) => [key, Number(value)]));
+  let cliRun = null;
+  if (outputFormat) {
+    const stream = args.values.output ? fs.createWriteStream(args.values.output) : process.stdout;
+    if (args.values.output) stream.on('error', (err) => exitWith(`Cannot write ${args.values.output}: ${err.message}`));
+    cliRun = createCliRun({ format: outputFormat, stream, stopAt });
+  }
+
+  // A URL, a local file (transcribed in one go) or the microphone
+  const mic = args.flags.has('mic');
+  const input = args.positionals[0];
+  const cliFile = !mic && input && !/^[a-z][a-z0-9+.-]*:\/\//i.test(input) && fs.existsSync(input) && fs.statSync(input).isFile()
+    ? path.resolve(input)
+    : null;
+  function startCliSession(session) {
+    if (cliFile) return session.startFile({ file: cliFile, name: path.basename(cliFile), transcription: cliTranscription });
+    return session.start({ mic, url: mic ? null : input, device: args.values.device, vod: !mic && args.flags.has('vod'), transcription: cliTranscription });
+  }
+
+  // No web server: transcribe the one source, write it out and exit once it
+  // has ended (1 if it ended in an error)
+  if (headless) {
+    const session = createSession({
+      provider,
+      store,
+      reconnect,
+      speechStats,
+      levels,
+      record: defaultRecord,
+      echo: false,
+      onEvent: (source, obj) => {
+        webhooks.handle(source, obj);
+        if (chatBot) chatBot.handle(source, obj);
+        cliRun.handle(source, obj);
+      },
+    });
+    cliRun.follow(session);
+    let stopping = false;
+    const handleSignal = () => {
+      if (stopping) process.exit(130);
+      stopping = true;
+      log.info('Stopping...');
+      session.stop().then(() => {
+        if (!session.record().endedAt) process.exit(130);
+      });
+    };
+    process.on('SIGINT', handleSignal);
+    process.on('SIGTERM', handleSignal);
+    try {
+      await startCliSession(session);
+    } catch (err) {
+      exitWith(`Could not start: ${err.message}`);
+    }
+    const summary = await cliRun.done;
+    if (chatBot) chatBot.close();
+    process.exitCode = summary.error ? 1 : 0;
+    return;
+  }
 
   // Minimal Express server and SSE for frontend
   const app = express();
-  const PORT = process.env.PORT ? Number(process.env.PORT) : 3000;
-  const sseClients = new Set();
+  const PORT = port;
   app.use(express.json());
+  // Behind Fly's proxy (or any other) set TRUST_PROXY so req.ip is the client's
+  if (process.env.TRUST_PROXY) {
+    const trust = process.env.TRUST_PROXY;
+    app.set('trust proxy', /^\d+$/.test(trust) ? Number(trust) : (trust === 'true' ? true : trust));
+  }
+
+  // Viewers get read-only access; anything that mutates needs the admin token
+  const auth = createAuth({ adminToken: process.env.ADMIN_TOKEN, secret: process.env.SESSION_SECRET || undefined });
+  if (!auth.enabled) log.warn('ADMIN_TOKEN is not set: control routes are open to everyone');
+  const startLimiter = createRateLimiter({
+    windowMs: (Number(process.env.START_RATE_WINDOW_SECONDS) || 600) * 1000,
+    max: Number(process.env.START_RATE_LIMIT) || 10,
+    message: 'too many start requests; try again later',
+  });
+  const loginLimiter = createRateLimiter({ windowMs: 10 * 60 * 1000, max: 10, message: 'too many login attempts; try again later' });
+
+  // Health checks and Prometheus metrics for load balancers and monitoring; no login needed
+  const metrics = createMetrics();
+  const startedAt = Date.now();
+  const maxAudioGapSeconds = Number(process.env.READY_MAX_AUDIO_GAP_SECONDS) || 30;
+
+  app.get('/healthz', (_req, res) => {
+    res.json({ ok: true, uptimeSeconds: Math.round((Date.now() - startedAt) / 1000) });
+  });
+
+  // Not ready when sessions can't be saved or a streaming session has
+  // stopped receiving audio
+  app.get('/readyz', async (_req, res) => {
+    const checks = {};
+    try {
+      await fs.promises.access(store.dir, fs.constants.W_OK);
+      checks.store = 'ok';
+    } catch (e) {
+      checks.store = e.message;
+    }
+    const stalled = provider.needsAudio
+      ? [...sessions.values()].filter((session) => session.status() === 'streaming' && session.lastAudioAgeSeconds() > maxAudioGapSeconds)
+      : [];
+    checks.ingest = stalled.length ? `no audio for over ${maxAudioGapSeconds}s in ${stalled.map((s) => s.id).join(', ')}` : 'ok';
+    const ok = Object.values(checks).every((check) => check === 'ok');
+    res.status(ok ? 200 : 503).json({ ok, checks });
+  });
+
+  app.get('/metrics', (_req, res) => {
+    res.type('text/plain; version=0.0.4').send(metrics.registry.render());
+  });
+
+  app.post('/login', loginLimiter, auth.login);
+  app.post('/logout', auth.logout);
+  app.get('/me', (req, res) => res.json({ authEnabled: auth.enabled, admin: auth.isAdmin(req) }));
+  app.use((req, res, next) => (req.method === 'GET' || req.method === 'HEAD' ? next() : auth.requireAdmin(req, res, next)));
+
+  // Live sessions by id. The primary session backs the top-level routes
+  // (/start, /stop, /status, /events, ...) used by the CLI, overlay and the
+  // UI's main session; other sessions run alongside it under /sessions/:id.
+  const sessions = new Map();
+  const primaryClients = new Set();
+  let primary = null;
+
+  const SESSION_STATUSES = ['idle', 'connecting', 'streaming', 'reconnecting', 'paused', 'processing', 'ended'];
+  metrics.registry.gauge('debate_sessions', 'Live sessions by status', () => SESSION_STATUSES.map((status) => ({
+    labels: { status },
+    value: [...sessions.values()].filter((session) => session.status() === status).length,
+  })));
+  metrics.registry.gauge('debate_sse_clients', 'Connected SSE clients', () => [...sessions.values()].reduce((sum, session) => sum + session.clients.size, primaryClients.size));
+  metrics.registry.gauge('debate_session_last_audio_age_seconds', 'Seconds since a running session last received audio', () => [...sessions.values()]
+    .filter((session) => session.isRunning() && session.lastAudioAgeSeconds() !== null)
+    .map((session) => ({ labels: { session: session.id, status: session.status() }, value: session.lastAudioAgeSeconds() })));
+  metrics.registry.gauge('debate_session_silent_seconds', 'Seconds the audio of a streaming session has been below the silence threshold', () => [...sessions.values()]
+    .filter((session) => session.status() === 'streaming' && session.lastAudioAgeSeconds() !== null)
+    .map((session) => ({ labels: { session: session.id }, value: session.audioLevel().silentSeconds })));
+
+  function createLiveSession(options = {}) {
+    const session = createSession({
+      provider,
+      store,
+      metrics,
+      reconnect,
+      speechStats,
+      levels,
+      record: defaultRecord,
+      ...options,
+      onEvent: (source, obj, payload) => {
+        webhooks.handle(source, obj);
+        if (cliRun) cliRun.handle(source, obj);
+        if (source !== primary) {
+          if (obj.type === 'analytics' && obj.endedAt) retire(source);
+          return;
+        }
+        if (chatBot) chatBot.handle(source, obj);
+        for (const client of primaryClients) client.write(payload);
+      },
+    });
+    sessions.set(session.id, session);
+    return session;
+  }
+
+  // Sessions other than the primary are dropped once they end, which stops
+  // their format tickers; their records stay available from the store
+  function retire(session) {
+    if (!sessions.has(session.id)) return;
+    sessions.delete(session.id);
+    session.dispose();
+  }
+
+  function setPrimary(session) {
+    const previous = primary;
+    primary = session;
+    if (previous && !previous.isRunning()) {
+      sessions.delete(previous.id);
+      previous.dispose();
+    }
+    for (const client of primaryClients) session.replayTo(client);
+  }
 
-  app.get('/events', (req, res) => {
+  // A fresh primary keeps the previous one's speaker names, loaded format
+  // and watchlist. With CLI output every primary leaves the console to it.
+  const primaryOptions = cliRun ? { echo: false } : {};
+  async function replacePrimary() {
+    if (primary && !primary.hasStarted()) return primary;
+    if (primary) await primary.stop();
+    setPrimary(createLiveSession(primary ? {
+      ...primaryOptions,
+      speakerNames: primary.speakerNames(),
+      format: primary.formatEngine.snapshot().format,
+      watchlist: primary.watchlist(),
+    } : primaryOptions));
+    return primary;
+  }
+
+  setPrimary(createLiveSession(primaryOptions));
+
+  function openEventStream(req, res, clients, session) {
     res.setHeader('Content-Type', 'text/event-stream');
     res.setHeader('Cache-Control', 'no-cache');
     res.setHeader('Connection', 'keep-alive');
     res.flushHeaders();
-    sseClients.add(res);
-    // Send initial analytics snapshot to the new client
+    clients.add(res);
+    // Snapshot plus transcript so far; EventSource sends Last-Event-ID when
+    // it reconnects, so only what was missed is replayed
     try {
-      const initial = JSON.stringify(analyticsSnapshot());
-      res.write(`data: ${initial}\n\n`);
+      session.replayTo(res, req.headers['last-event-id'] || req.query.lastEventId);
     } catch {}
-    req.on('close', () => sseClients.delete(res));
-  });
+    req.on('close', () => clients.delete(res));
+  }
+
+  app.get('/events', (req, res) => openEventStream(req, res, primaryClients, primary));
 
   app.use(express.static(path.join(__dirname, 'public')));
   app.get('/', (_req, res) => res.sendFile(path.join(__dirname, 'public', 'index.html')));
+  app.get('/overlay', (_req, res) => res.sendFile(path.join(__dirname, 'public', 'overlay.html')));
 
   const server = app.listen(PORT, () => {
-    console.log(`Web UI: http://localhost:${PORT}`);
-  });
-
-  // Streaming state & helpers
-  let current = {
-    connection: null,
-    ff: null,
-    opened: false,
-    closed: false,
-    mode: null, // 'mic' | 'url'
-    url: null,
-    device: null,
-    platform: null,
-    speakerDurations: new Map(),
-    lastPartialSpeaker: null,
-    lastPartialStart: null,
-    startTimeMs: null,
-    bytesSent: 0,
-    wordsCount: 0,
-  };
+    log.info(`Web UI: http://localhost:${PORT}`, { port: PORT });
+  });
 
-  function broadcast(obj) {
-    const payload = JSON.stringify(obj);
-    for (const client of sseClients) client.write(`data: ${payload}\n\n`);
+  function parseSource(body) {
+    const { url, mic, device, vod } = body || {};
+    if (!mic && !url) return null;
+    return { mic: !!mic, url, device, vod: !!vod };
   }
 
-  function analyticsSnapshot() {
-    const durations = Object.fromEntries(current.speakerDurations);
-    const uptimeMs = current.startTimeMs ? Date.now() - current.startTimeMs : 0;
-    const ingestedSeconds = current.bytesSent / 32000; // 16kHz * 2 bytes
-    return {
-      type: 'analytics',
-      mode: current.mode,
-      platform: current.platform,
-      url: current.url,
-      status: current.connection ? (current.opened ? 'streaming' : 'connecting') : 'idle',
-      wordsCount: current.wordsCount,
-      speakerDurations: durations,
-      uptimeMs,
-      ingestedSeconds,
-      speakers: Object.keys(durations).map((id) => ({ id, seconds: durations[id] })),
-    };
+  function badRequest(message) {
+    return Object.assign(new Error(message), { status: 400 });
   }
 
-  async function stopStreaming() {
-    if (current.closed) return;
-    current.closed = true;
-    try { current.connection && current.connection.finish(); } catch {}
-    // Try graceful, then escalate
-    if (current.ff) {
-      try { current.ff.kill('SIGINT'); } catch {}
-      setTimeout(() => {
-        if (current.ff && !current.ff.killed) {
-          try { current.ff.kill('SIGTERM'); } catch {}
-        }
-      }, 500);
-      setTimeout(() => {
-        if (current.ff && !current.ff.killed) {
-          try { current.ff.kill('SIGKILL'); } catch {}
-        }
-      }, 1500);
+  // A start's `record` option; undefined keeps the server default
+  function resolveRecord(value) {
+    if (value === undefined) return undefined;
+    try {
+      return validateRecordingFormat(value) || false;
+    } catch (e) {
+      throw badRequest(e.message);
     }
-    current.connection = null;
-    current.ff = null;
-    broadcast(analyticsSnapshot());
   }
 
-  async function startStreaming({ mic, url, device }) {
-    if (current.connection) await stopStreaming();
-    current = {
-      connection: null,
-      ff: null,
-      opened: false,
-      closed: false,
-      mode: mic ? 'mic' : 'url',
-      url: url || null,
-      device: device || null,
-      platform: url ? detectPlatformFromUrl(url) : (mic ? os.platform() : null),
-      speakerDurations: new Map(),
-      lastPartialSpeaker: null,
-      lastPartialStart: null,
-      startTimeMs: null,
-      bytesSent: 0,
-      wordsCount: 0,
-    };
+  // `start`/`end` timestamps or a yt-dlp `chapter` (index or title) narrow a
+  // video to one stretch of it
+  async function resolveRange(source, body) {
+    const { start, end, chapter } = body || {};
+    if (source.mic) return source;
+    let range = { start: parseTimestamp(start), end: parseTimestamp(end), chapter: null };
+    if (chapter !== undefined && chapter !== null && chapter !== '') {
+      const info = await fetchVodInfo(source.url);
+      const found = info.chapters.find((c) => String(c.index) === String(chapter) || c.title === chapter);
+      if (!found) throw badRequest(`No chapter "${chapter}" in this video`);
+      range = { start: found.start, end: found.end || info.duration, chapter: found.title };
+    }
+    if (Number.isNaN(range.start) || Number.isNaN(range.end)) throw badRequest('start and end must be seconds or [hh:]mm:ss');
+    if (range.start === null && range.end === null) return source;
+    if (range.end !== null && range.end <= (range.start || 0)) throw badRequest('end must be after start');
+    return { ...source, vod: true, range };
+  }
 
-    let mediaUrl = null;
-    if (!mic && url) {
-      console.log('Resolving stream URL...');
-      mediaUrl = await resolveMediaUrl(url);
-      console.log('Resolved media URL');
-    }
-
-    console.log('Connecting to Deepgram Live...');
-    const connection = deepgram.listen.live({
-      model: 'nova-2',
-      language: 'en',
-      punctuate: true,
-      interim_results: true,
-      smart_format: true,
-      diarize: true,
-      encoding: 'linear16',
-      sample_rate: 16000,
-    });
-    current.connection = connection;
-    broadcast(analyticsSnapshot());
-
-    connection.on(LiveTranscriptionEvents.Open, () => {
-      current.opened = true;
-      current.startTimeMs = Date.now();
-      console.log('Deepgram connection opened. Starting ffmpeg...');
-      const ff = mic ? startFfmpegMicStream(device) : startFfmpegPcmStream(mediaUrl);
-      current.ff = ff;
-
-      ff.stdout.on('data', (chunk) => {
-        current.bytesSent += chunk.length;
-        try {
-          connection.send(chunk);
-        } catch (err) {
-          console.error('Error sending audio to Deepgram:', err.message);
-        }
-      });
+  function sendExport(req, res, record) {
+    const format = String(req.query.format || 'srt').toLowerCase();
+    if (!EXPORT_FORMATS[format]) {
+      return res.status(400).json({ error: `format must be one of ${Object.keys(EXPORT_FORMATS).join(', ')}` });
+    }
+    if (!record) return res.status(404).json({ error: 'session not found' });
+    const totals = ['1', 'true', 'yes'].includes(String(req.query.totals || '').toLowerCase());
+    const body = renderTranscript(record, format, { totals });
+    res.setHeader('Content-Type', EXPORT_FORMATS[format].contentType);
+    res.setHeader('Content-Disposition', `attachment; filename="debate-${record.id}.${EXPORT_FORMATS[format].ext}"`);
+    res.send(body);
+  }
 
-      if (ff.stderr) {
-        ff.stderr.on('data', () => {});
-      }
+  async function findRecord(id) {
+    const live = sessions.get(id);
+    return live ? live.record() : store.get(id);
+  }
 
-      ff.on('close', (code) => {
-        console.log(`ffmpeg exited with code ${code}. Ending Deepgram stream...`);
-        try { connection.finish(); } catch {}
-      });
+  // REST control endpoints for the primary session
+  app.post('/start', startLimiter, async (req, res) => {
+    try {
+      const source = parseSource(req.body);
+      if (!source) return res.status(400).json({ error: 'Provide url or mic=true' });
+      const transcription = resolveTranscription(req.body);
+      const record = resolveRecord(req.body.record);
+      const ranged = await resolveRange(source, req.body);
+      const session = await replacePrimary();
+      await session.start({ ...ranged, transcription, record });
+      res.json({ ok: true, id: session.id, platform: session.analyticsSnapshot().platform });
+    } catch (e) {
+      log.error(e?.message || String(e));
+      res.status(e.status || 500).json({ error: e?.message || 'failed to start' });
+    }
+  });
 
-      broadcast(analyticsSnapshot());
-    });
+  // Uploads: the file is the request body; processing continues after the
+  // response and reports `progress` events over SSE
+  const receiveUpload = createUploadReceiver({ maxBytes: (Number(process.env.MAX_UPLOAD_MB) || 512) * 1024 * 1024 });
 
-    connection.on(LiveTranscriptionEvents.Transcript, (data) => {
-      try {
-        const alt = data?.channel?.alternatives?.[0];
-        const text = alt?.transcript || '';
-        if (!text) return;
-        const words = alt?.words || [];
-        if (!Array.isArray(words) || words.length === 0) return;
-        current.wordsCount += (text.match(/\S+/g) || []).length;
-        const segmentSpeaker = words[0]?.speaker ?? 'unknown';
-
-        if (data.is_final) {
-          const start = words[0]?.start || 0;
-          const end = words[words.length - 1]?.end || start;
-          const duration = Math.max(0, end - start);
-          const prev = current.speakerDurations.get(segmentSpeaker) || 0;
-          current.speakerDurations.set(segmentSpeaker, prev + duration);
-
-          // Send final and instruct UI to replace partial
-          broadcast({ type: 'final', replace: true, speaker: segmentSpeaker, text, start, end, speakerDurations: Object.fromEntries(current.speakerDurations) });
-          broadcast(analyticsSnapshot());
-
-          console.log(`[${formatTimestamp(start)}] [Speaker ${segmentSpeaker}] ${text}`);
-          current.lastPartialSpeaker = null;
-          current.lastPartialStart = null;
-        } else {
-          readline.clearLine(process.stdout, 0);
-          readline.cursorTo(process.stdout, 0);
-          process.stdout.write(`[Speaker ${segmentSpeaker}] ${text}`);
-
-          if (current.lastPartialSpeaker !== segmentSpeaker) {
-            current.lastPartialSpeaker = segmentSpeaker;
-            current.lastPartialStart = words[0]?.start ?? null;
-          }
-          const estStart = current.lastPartialStart ?? words[0]?.start ?? 0;
-          const estEnd = words[words.length - 1]?.end ?? estStart;
-          broadcast({ type: 'partial', speaker: segmentSpeaker, text, start: estStart, end: estEnd, speakerDurations: Object.fromEntries(current.speakerDurations) });
-        }
-      } catch (err) {
-        // ignore formatting issues
+  function canTranscribeFiles(_req, res, next) {
+    if (typeof provider.transcribeAudio === 'function') return next();
+    res.status(400).json({ error: `The ${provider.name} provider cannot transcribe files` });
+  }
+
+  function uploadOptions(req, res, next) {
+    try {
+      req.uploadOptions = { transcription: resolveTranscription(req.query), record: resolveRecord(req.query.record) };
+      next();
+    } catch (e) {
+      res.status(400).json({ error: e.message });
+    }
+  }
+
+  function startUpload(session, upload, options) {
+    session.startFile({ file: upload.path, name: upload.name, ...options })
+      .catch((err) => log.error(`File transcription failed: ${err.message}`, { sessionId: session.id }))
+      .finally(() => removeUpload(upload));
+  }
+
+  app.post('/upload', startLimiter, canTranscribeFiles, uploadOptions, receiveUpload, async (req, res) => {
+    try {
+      const session = await replacePrimary();
+      startUpload(session, req.upload, req.uploadOptions);
+      res.json({ ok: true, id: session.id, fileName: req.upload.name, size: req.upload.size });
+    } catch (e) {
+      removeUpload(req.upload);
+      log.error(e?.message || String(e));
+      res.status(500).json({ error: e?.message || 'failed to start' });
+    }
+  });
+
+  // Sessions: live ones plus persisted history
+  app.get('/sessions', async (req, res) => {
+    try {
+      const liveOnly = ['1', 'true', 'yes'].includes(String(req.query.live || '').toLowerCase());
+      const stored = liveOnly ? [] : await store.list();
+      const byId = new Map(stored.map((summary) => [summary.id, summary]));
+      for (const session of sessions.values()) {
+        byId.set(session.id, { ...summarize(session.record()), live: true, primary: session === primary, status: session.status() });
       }
-    });
+      const list = [...byId.values()].sort((a, b) => String(b.createdAt).localeCompare(String(a.createdAt)));
+      res.json({ sessions: list });
+    } catch (e) {
+      res.status(500).json({ error: e?.message || 'failed to list sessions' });
+    }
+  });
 
-    connection.on(LiveTranscriptionEvents.Error, (err) => {
-      console.error('Deepgram error:', err);
-    });
+  app.post('/sessions', startLimiter, async (req, res) => {
+    const { speakerNames, formatId } = req.body || {};
+    const format = formatId ? loadPresets(formatsDir).find((preset) => preset.id === formatId) : null;
+    let source = parseSource(req.body);
+    let watchlist = primary.watchlist();
+    try {
+      if (req.body?.watchlist !== undefined) watchlist = validateWatchlist(req.body.watchlist);
+    } catch (e) {
+      return res.status(400).json({ error: e.message });
+    }
+    try {
+      if (source) source = { ...(await resolveRange(source, req.body)), transcription: resolveTranscription(req.body), record: resolveRecord(req.body.record) };
+    } catch (e) {
+      return res.status(e.status || 500).json({ error: e?.message || 'failed to start' });
+    }
+    const session = createLiveSession({ speakerNames, format, watchlist });
+    try {
+      if (source) await session.start(source);
+      res.status(201).json({ ok: true, id: session.id, status: session.status() });
+    } catch (e) {
+      log.error(e?.message || String(e));
+      retire(session);
+      res.status(500).json({ error: e?.message || 'failed to start', id: session.id });
+    }
+  });
 
-    connection.on(LiveTranscriptionEvents.Close, () => {
-      if (current.closed) return;
-      current.closed = true;
-      console.log('\nDeepgram connection closed.');
-      try { current.ff && current.ff.kill('SIGINT'); } catch {}
-      current.connection = null;
-      current.ff = null;
-      broadcast(analyticsSnapshot());
-    });
+  app.get('/sessions/:id', async (req, res) => {
+    try {
+      const record = await findRecord(req.params.id);
+      if (!record) return res.status(404).json({ error: 'session not found' });
+      res.json(record);
+    } catch (e) {
+      res.status(500).json({ error: e?.message || 'failed to load session' });
+    }
+  });
 
-    // fail-fast timeout
-    setTimeout(() => {
-      if (!current.opened && current.connection) {
-        console.error('Timed out waiting for Deepgram connection.');
-        try { current.connection.finish(); } catch {}
+  app.delete('/sessions/:id', async (req, res) => {
+    try {
+      const live = sessions.get(req.params.id);
+      if (live && live.isRunning()) {
+        return res.status(409).json({ error: 'session is still running; stop it first' });
+      }
+      // Dispose first so no pending save writes the file back afterwards
+      if (live) {
+        sessions.delete(live.id);
+        await live.dispose();
+        if (live === primary) setPrimary(createLiveSession(primaryOptions));
+      }
+      const removed = await store.remove(req.params.id);
+      if (!live && !removed) {
+        return res.status(404).json({ error: 'session not found' });
       }
-    }, 15000);
+      res.json({ ok: true });
+    } catch (e) {
+      res.status(500).json({ error: e?.message || 'failed to delete session' });
+    }
+  });
+
+  app.get('/sessions/:id/export', async (req, res) => {
+    try {
+      sendExport(req, res, await findRecord(req.params.id));
+    } catch (e) {
+      res.status(500).json({ error: e?.message || 'failed to export' });
+    }
+  });
+
+  // Audio recordings and clips cut from them. Clips run ffmpeg, so these are
+  // for admins only.
+  const clipMaxSeconds = Number(process.env.CLIP_MAX_SECONDS) || 600;
+
+  async function findRecording(id) {
+    const record = await findRecord(id);
+    if (!record) throw Object.assign(new Error('session not found'), { status: 404 });
+    if (!record.recording) throw Object.assign(new Error('this session has no audio recording'), { status: 404 });
+    return { record, file: store.fileFor(record.id, RECORDING_FORMATS[record.recording.format].ext) };
+  }
+
+  // start/end on the transcript's timeline, or from/to segment ids
+  function clipRange(record, query) {
+    try {
+      return resolveClipRange(record, { ...query, start: parseTimestamp(query.start), end: parseTimestamp(query.end) }, clipMaxSeconds);
+    } catch (e) {
+      throw badRequest(e.message);
+    }
   }
 
-  // REST control endpoints
-  app.get('/status', (_req, res) => {
-    res.json(analyticsSnapshot());
+  app.get('/sessions/:id/recording', auth.requireAdmin, async (req, res) => {
+    try {
+      const { record, file } = await findRecording(req.params.id);
+      res.download(file, `debate-${record.id}.${RECORDING_FORMATS[record.recording.format].ext}`, (err) => {
+        if (err && !res.headersSent) res.status(404).json({ error: 'recording file not found' });
+      });
+    } catch (e) {
+      res.status(e.status || 500).json({ error: e?.message || 'failed to load recording' });
+    }
   });
 
-  app.post('/start', async (req, res) => {
+  // /clip?from=12&to=15 or ?start=1:02:00&end=1:03:30, plus subtitles=burn for
+  // a video with the transcript drawn in
+  app.get('/sessions/:id/clip', auth.requireAdmin, async (req, res) => {
     try {
-      const { url, mic, device } = req.body || {};
-      if (!mic && !url) return res.status(400).json({ error: 'Provide url or mic=true' });
-      await startStreaming({ mic: !!mic, url, device });
-      res.json({ ok: true, platform: current.platform });
+      const { record, file } = await findRecording(req.params.id);
+      const range = clipRange(record, req.query);
+      const clip = await exportClip(record, file, range, { burn: req.query.subtitles === 'burn' });
+      res.download(clip.file, `debate-${record.id}-${Math.floor(range.start)}s.${clip.ext}`, () => clip.cleanup());
     } catch (e) {
-      console.error(e?.message || e);
-      res.status(500).json({ error: e?.message || 'failed to start' });
+      log.error(`Clip export failed: ${e?.message || e}`, { sessionId: req.params.id });
+      res.status(e.status || 500).json({ error: e?.message || 'failed to export clip' });
+    }
+  });
+
+  // Sidecar subtitles for the same clip, timed from its start
+  app.get('/sessions/:id/clip/subtitles', auth.requireAdmin, async (req, res) => {
+    try {
+      const format = String(req.query.format || 'srt').toLowerCase();
+      if (!['srt', 'vtt'].includes(format)) return res.status(400).json({ error: 'format must be srt or vtt' });
+      const { record } = await findRecording(req.params.id);
+      const range = clipRange(record, req.query);
+      res.setHeader('Content-Type', EXPORT_FORMATS[format].contentType);
+      res.setHeader('Content-Disposition', `attachment; filename="debate-${record.id}-${Math.floor(range.start)}s.${format}"`);
+      res.send(clipSubtitles(record, range, format));
+    } catch (e) {
+      res.status(e.status || 500).json({ error: e?.message || 'failed to export subtitles' });
+    }
+  });
+
+  function liveSessionFromParam(req, res, next) {
+    const session = sessions.get(req.params.id);
+    if (!session) return res.status(404).json({ error: 'no live session with that id' });
+    req.live = session;
+    next();
+  }
+
+  app.post('/sessions/:id/start', startLimiter, liveSessionFromParam, async (req, res) => {
+    try {
+      const source = parseSource(req.body);
+      if (!source) return res.status(400).json({ error: 'Provide url or mic=true' });
+      if (req.live.hasStarted()) return res.status(409).json({ error: 'session has already been started; create a new one' });
+      const transcription = resolveTranscription(req.body);
+      const record = resolveRecord(req.body.record);
+      await req.live.start({ ...(await resolveRange(source, req.body)), transcription, record });
+      res.json({ ok: true, id: req.live.id, platform: req.live.analyticsSnapshot().platform });
+    } catch (e) {
+      log.error(e?.message || String(e));
+      res.status(e.status || 500).json({ error: e?.message || 'failed to start' });
+    }
+  });
+
+  app.post('/sessions/:id/upload', startLimiter, canTranscribeFiles, liveSessionFromParam, (req, res, next) => {
+    if (req.live.hasStarted()) return res.status(409).json({ error: 'session has already been started; create a new one' });
+    next();
+  }, uploadOptions, receiveUpload, (req, res) => {
+    startUpload(req.live, req.upload, req.uploadOptions);
+    res.json({ ok: true, id: req.live.id, fileName: req.upload.name, size: req.upload.size });
+  });
+
+  app.get('/sessions/:id/events', liveSessionFromParam, (req, res) => openEventStream(req, res, req.live.clients, req.live));
+
+  // Routes that act on one live session; mounted per id and, for the
+  // primary session, at the top level
+  const sessionRoutes = express.Router();
+
+  sessionRoutes.get('/status', (req, res) => {
+    res.json(req.live.analyticsSnapshot());
+  });
+
+  sessionRoutes.post('/stop', async (req, res) => {
+    await req.live.stop();
+    res.json({ ok: true });
+  });
+
+  // Breaks: stop sending audio and crediting time, then carry on in the same session
+  sessionRoutes.post('/pause', (req, res) => {
+    try {
+      req.live.pause();
+      res.json({ ok: true, status: req.live.status() });
+    } catch (e) {
+      res.status(409).json({ error: e.message });
+    }
+  });
+
+  sessionRoutes.post('/resume', async (req, res) => {
+    try {
+      await req.live.resume();
+      res.json({ ok: true, status: req.live.status() });
+    } catch (e) {
+      res.status(409).json({ error: e.message });
+    }
+  });
+
+  sessionRoutes.put('/names', (req, res) => {
+    const names = req.body?.names;
+    if (!names || typeof names !== 'object') return res.status(400).json({ error: 'Provide names, e.g. { "names": { "A": "Destiny" } }' });
+    res.json({ ok: true, speakerNames: req.live.setNames(names) });
+  });
+
+  // Keyword watchlist and the hits so far
+  sessionRoutes.get('/watchlist', (req, res) => {
+    res.json({ watchlist: req.live.watchlist(), hits: req.live.keywordHits() });
+  });
+
+  sessionRoutes.put('/watchlist', (req, res) => {
+    try {
+      res.json({ ok: true, watchlist: req.live.setWatchlist(req.body?.watchlist) });
+    } catch (e) {
+      res.status(400).json({ error: e.message });
+    }
+  });
+
+  // Moderator corrections; every change is kept in the session's audit log
+  sessionRoutes.get('/corrections', (req, res) => {
+    res.json({ corrections: req.live.corrections() });
+  });
+
+  const CORRECTIONS = { reassign: 'reassignSegment', merge: 'mergeSpeakers', adjust: 'adjustTime' };
+  sessionRoutes.post('/corrections/:action', (req, res) => {
+    const method = CORRECTIONS[req.params.action];
+    if (!method) return res.status(404).json({ error: `unknown correction; use ${Object.keys(CORRECTIONS).join(', ')}` });
+    try {
+      const correction = req.live[method](req.body || {}, { by: req.ip, note: req.body?.note });
+      res.json({ ok: true, correction, speakerDurations: req.live.analyticsSnapshot().speakerDurations });
+    } catch (e) {
+      res.status(400).json({ error: e.message });
+    }
+  });
+
+  // Transcript export: /export?format=srt|vtt|json|md&totals=1[&session=<id>]
+  sessionRoutes.get('/export', async (req, res) => {
+    try {
+      sendExport(req, res, req.query.session ? await findRecord(req.query.session) : req.live.record());
+    } catch (e) {
+      res.status(500).json({ error: e?.message || 'failed to export' });
+    }
+  });
+
+  sessionRoutes.get('/format', (req, res) => {
+    res.json(req.live.formatEngine.snapshot());
+  });
+
+  sessionRoutes.put('/format', (req, res) => {
+    try {
+      const { id, format } = req.body || {};
+      const input = format || loadPresets(formatsDir).find((preset) => preset.id === id);
+      if (!input) return res.status(404).json({ error: `format preset "${id}" not found` });
+      req.live.formatEngine.load(input);
+      res.json(req.live.formatEngine.snapshot());
+    } catch (e) {
+      res.status(400).json({ error: e?.message || 'invalid format' });
+    }
+  });
+
+  sessionRoutes.delete('/format', (req, res) => {
+    req.live.formatEngine.unload();
+    res.json({ ok: true });
+  });
+
+  const FORMAT_ACTIONS = ['start', 'pause', 'next', 'previous', 'reset'];
+  sessionRoutes.post('/format/:action', (req, res) => {
+    const { action } = req.params;
+    if (!FORMAT_ACTIONS.includes(action)) return res.status(404).json({ error: `unknown action; use ${FORMAT_ACTIONS.join(', ')}` });
+    try {
+      req.live.formatEngine[action]();
+      res.json(req.live.formatEngine.snapshot());
+    } catch (e) {
+      res.status(409).json({ error: e?.message || 'format action failed' });
     }
   });
 
-  app.post('/stop', async (_req, res) => {
-    await stopStreaming();
+  app.use('/sessions/:id', liveSessionFromParam, sessionRoutes);
+
+  // Outbound webhooks. Listing shows signing secrets, so admins only.
+  app.get('/webhooks', auth.requireAdmin, (_req, res) => {
+    res.json({ webhooks: webhooks.list(), events: webhooks.EVENTS });
+  });
+
+  app.post('/webhooks', async (req, res) => {
+    try {
+      res.status(201).json({ ok: true, webhook: await webhooks.add(req.body) });
+    } catch (e) {
+      res.status(400).json({ error: e.message });
+    }
+  });
+
+  app.delete('/webhooks/:id', async (req, res) => {
+    if (!(await webhooks.remove(req.params.id))) return res.status(404).json({ error: 'webhook not found' });
     res.json({ ok: true });
   });
 
+  app.post('/webhooks/:id/test', async (req, res) => {
+    const delivery = await webhooks.test(req.params.id);
+    if (!delivery) return res.status(404).json({ error: 'webhook not found' });
+    res.status(delivery.status === 'delivered' ? 200 : 502).json({ ok: delivery.status === 'delivered', delivery });
+  });
+
+  app.get('/webhooks/deliveries', auth.requireAdmin, (req, res) => {
+    res.json({ deliveries: webhooks.deliveries({ webhookId: req.query.webhook }) });
+  });
+
+  // Chat bot connections, when CHAT_BOT is set
+  app.get('/chat', (_req, res) => {
+    res.json(chatBot ? { enabled: true, ...chatBot.status() } : { enabled: false });
+  });
+
+  // Debate format presets
+  app.get('/formats', (_req, res) => {
+    res.json({ formats: loadPresets(formatsDir) });
+  });
+
+  app.post('/formats', async (req, res) => {
+    try {
+      res.json({ ok: true, format: await savePreset(formatsDir, req.body?.format || req.body) });
+    } catch (e) {
+      res.status(400).json({ error: e?.message || 'invalid format' });
+    }
+  });
+
+  // Transcription presets: saved language/model/keyword settings
+  app.get('/transcription-presets', (_req, res) => {
+    res.json({ presets: loadTranscriptionPresets(transcriptionPresetsDir) });
+  });
+
+  app.post('/transcription-presets', async (req, res) => {
+    try {
+      res.json({ ok: true, preset: await saveTranscriptionPreset(transcriptionPresetsDir, req.body?.preset || req.body) });
+    } catch (e) {
+      res.status(400).json({ error: e?.message || 'invalid preset' });
+    }
+  });
+
   app.get('/devices', async (_req, res) => {
     try {
       const devices = await getMicDevices();
@@ -628,17 +909,35 @@ async function main() {
     }
   });
 
-  // CLI auto-start remains supported
-  if (args.flags.has('mic') || args.positionals[0]) {
-    const url = args.flags.has('mic') ? null : args.positionals[0];
-    const device = args.values.device;
-    await startStreaming({ mic: args.flags.has('mic'), url, device });
+  // Chapters of a video for the range picker. Runs yt-dlp, so admins only.
+  app.get('/chapters', auth.requireAdmin, async (req, res) => {
+    const url = String(req.query.url || '').trim();
+    if (!url) return res.status(400).json({ error: 'Provide url' });
+    try {
+      res.json(await fetchVodInfo(url));
+    } catch (e) {
+      res.status(502).json({ error: e?.message || 'failed to read video info' });
+    }
+  });
+
+  app.use((req, _res, next) => {
+    req.live = primary;
+    next();
+  }, sessionRoutes);
+
+  // CLI auto-start remains supported; files run in the background
+  if (hasCliSource) {
+    if (cliRun) cliRun.follow(primary);
+    const started = startCliSession(primary);
+    if (cliFile) started.catch((err) => log.error(`File transcription failed: ${err.message}`));
+    else await started;
   }
 
   // Graceful shutdown on Ctrl-C / termination
   const handleSignal = () => {
-    console.log('\nShutting down...');
-    stopStreaming().finally(() => {
+    log.info(`${log.isJson() ? '' : '\n'}Shutting down...`);
+    if (chatBot) chatBot.close();
+    Promise.all([...sessions.values()].map((session) => session.stop())).finally(() => {
       try { server && server.close(); } catch {}
       setTimeout(() => process.exit(0), 300);
     });
@@ -649,6 +948,6 @@ async function main() {
 }
 
 main().catch((err) => {
-  console.error(err?.message || err);
+  log.error(err?.message || String(err));
   process.exit(1);
 });
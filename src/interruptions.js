@@ -0,0 +1,81 @@
+'use strict';
+
+// A switch to a new speaker within this many seconds of the previous speaker's
+// last word, while they were mid-sentence, counts as an interruption.
+const DEFAULT_INTERRUPT_GAP = 0.4;
+
+const SENTENCE_END = /[.?!…]["')\]]*$/;
+
+function emptySpeakerStats() {
+  return { turns: 0, totalSeconds: 0, averageTurnSeconds: 0, longestTurnSeconds: 0, interruptionsMade: 0, interruptionsReceived: 0, overlapSeconds: 0 };
+}
+
+// Derive turn-taking stats from a session transcript (final segments with
+// per-speaker turns). Consecutive turns by the same speaker, even across
+// segments, form one uninterrupted turn.
+function computeTurnStats(transcript, { interruptGap = DEFAULT_INTERRUPT_GAP } = {}) {
+  const speakers = {};
+  const pairs = new Map(); // "by->of" -> { by, of, interruptions, overlaps, overlapSeconds }
+  let prev = null;
+  let open = null; // turn currently being extended
+
+  function statsFor(speaker) {
+    if (!speakers[speaker]) speakers[speaker] = emptySpeakerStats();
+    return speakers[speaker];
+  }
+
+  function pairFor(by, of) {
+    const key = `${by}->${of}`;
+    if (!pairs.has(key)) pairs.set(key, { by: String(by), of: String(of), interruptions: 0, overlaps: 0, overlapSeconds: 0 });
+    return pairs.get(key);
+  }
+
+  function closeTurn() {
+    if (!open) return;
+    const stats = statsFor(open.speaker);
+    stats.turns += 1;
+    stats.totalSeconds += open.seconds;
+    stats.longestTurnSeconds = Math.max(stats.longestTurnSeconds, open.seconds);
+  }
+
+  for (const entry of transcript || []) {
+    for (const turn of entry.turns || []) {
+      if (open && open.speaker === turn.speaker) {
+        open.seconds += turn.seconds || 0;
+        prev = turn;
+        continue;
+      }
+      if (prev) {
+        const gap = turn.start - prev.end;
+        const pair = pairFor(turn.speaker, prev.speaker);
+        if (gap < 0) {
+          pair.overlaps += 1;
+          pair.overlapSeconds += Math.min(-gap, prev.end - prev.start);
+          statsFor(turn.speaker).overlapSeconds += Math.min(-gap, prev.end - prev.start);
+        }
+        const midSentence = !SENTENCE_END.test(String(prev.text || '').trim());
+        if (gap < 0 || (gap <= interruptGap && midSentence)) {
+          pair.interruptions += 1;
+          statsFor(turn.speaker).interruptionsMade += 1;
+          statsFor(prev.speaker).interruptionsReceived += 1;
+        }
+      }
+      closeTurn();
+      open = { speaker: turn.speaker, seconds: turn.seconds || 0 };
+      prev = turn;
+    }
+  }
+  closeTurn();
+
+  for (const stats of Object.values(speakers)) {
+    stats.averageTurnSeconds = stats.turns ? stats.totalSeconds / stats.turns : 0;
+  }
+  const pairList = [...pairs.values()].filter((p) => p.interruptions || p.overlaps);
+  return {
+    speakers,
+    pairs: pairList,
+    totalInterruptions: pairList.reduce((sum, p) => sum + p.interruptions, 0),
+  };
+}
+
+module.exports = { computeTurnStats, DEFAULT_INTERRUPT_GAP };
@@ -0,0 +1,107 @@
+'use strict';
+
+const SAMPLE_RATE = 16000; // mono s16le from ffmpeg
+const WINDOW_SECONDS = 0.1;
+const WINDOW_SAMPLES = SAMPLE_RATE * WINDOW_SECONDS;
+const VOICE_HANGOVER_WINDOWS = 3; // keep "voice" on through short dips between words
+const FLOOR_DB = -100;
+
+const DEFAULT_LEVELS = {
+  silenceDb: -50, // RMS below this is silence
+  voiceDb: -40, // RMS above this counts as voice activity
+  silenceAlertSeconds: 10, // flag the source as silent/muted after this long
+  deadAirMinSeconds: 3, // silences at least this long count as dead air
+};
+
+function seconds(windows) {
+  return Math.round(windows * WINDOW_SECONDS * 10) / 10;
+}
+
+function toDb(amplitude) {
+  return amplitude > 0 ? Math.max(FLOOR_DB, 20 * Math.log10(amplitude / 32768)) : FLOOR_DB;
+}
+
+// RMS/peak levels, energy-based voice activity and silence tracking over
+// the PCM sent to the provider, measured in 100ms windows of audio time.
+// A silence that lasts `deadAirMinSeconds` counts as dead air in full; one
+// that lasts `silenceAlertSeconds` is reported through `onSilence` as
+// 'silent', or 'muted' if the source sent nothing but zeros, and again
+// when sound comes back.
+function createLevelMeter(options = {}, onSilence = () => {}) {
+  const settings = { ...DEFAULT_LEVELS, ...options };
+  let carry = null; // odd byte left over from the previous chunk
+  let sumSquares = 0;
+  let peak = 0;
+  let count = 0;
+  let voiceHold = 0;
+  let level = { rmsDb: FLOOR_DB, peakDb: FLOOR_DB, voice: false };
+  let run = { windows: 0, muted: true, counted: false, flagged: null };
+  let deadAirWindows = 0;
+  let silenceWindows = 0;
+
+  function finishWindow() {
+    const rmsDb = toDb(Math.sqrt(sumSquares / count));
+    const peakDb = toDb(peak);
+    voiceHold = rmsDb >= settings.voiceDb ? VOICE_HANGOVER_WINDOWS : Math.max(0, voiceHold - 1);
+    level = { rmsDb, peakDb, voice: voiceHold > 0 };
+
+    if (rmsDb < settings.silenceDb) {
+      run.windows += 1;
+      run.muted = run.muted && peak === 0;
+      silenceWindows += 1;
+      if (run.counted) {
+        deadAirWindows += 1;
+      } else if (seconds(run.windows) >= settings.deadAirMinSeconds) {
+        run.counted = true;
+        deadAirWindows += run.windows;
+      }
+      if (!run.flagged && seconds(run.windows) >= settings.silenceAlertSeconds) {
+        run.flagged = run.muted ? 'muted' : 'silent';
+        onSilence({ state: 'start', reason: run.flagged, seconds: seconds(run.windows) });
+      }
+    } else {
+      resetRun();
+    }
+    sumSquares = 0;
+    peak = 0;
+    count = 0;
+  }
+
+  function write(chunk) {
+    let buffer = carry ? Buffer.concat([carry, chunk]) : chunk;
+    carry = null;
+    if (buffer.length % 2) {
+      carry = buffer.subarray(buffer.length - 1);
+      buffer = buffer.subarray(0, buffer.length - 1);
+    }
+    for (let i = 0; i < buffer.length; i += 2) {
+      const sample = buffer.readInt16LE(i);
+      sumSquares += sample * sample;
+      const magnitude = Math.abs(sample);
+      if (magnitude > peak) peak = magnitude;
+      count += 1;
+      if (count === WINDOW_SAMPLES) finishWindow();
+    }
+  }
+
+  // Sound came back, or a new connection or a resume starts a fresh stretch
+  // of audio (the gap in between isn't silence)
+  function resetRun() {
+    if (run.flagged) onSilence({ state: 'end', reason: run.flagged, seconds: seconds(run.windows) });
+    run = { windows: 0, muted: true, counted: false, flagged: null };
+  }
+
+  function snapshot() {
+    return {
+      ...level,
+      silentSeconds: seconds(run.windows),
+      silence: run.flagged,
+      silenceSeconds: seconds(silenceWindows),
+      deadAirSeconds: seconds(deadAirWindows),
+    };
+  }
+
+  return { write, resetRun, snapshot, settings };
+}
+
+module.exports = { createLevelMeter, DEFAULT_LEVELS };
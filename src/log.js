@@ -0,0 +1,31 @@
+'use strict';
+
+// Server log lines. Plain text by default; LOG_FORMAT=json writes one JSON
+// object per line ({ time, level, msg, ...fields }) for log collectors.
+// Fields only show up in JSON; the text form is just the message. With
+// `stderr` info goes there too, leaving stdout to the CLI's output.
+let json = false;
+let infoToStderr = false;
+
+function configureLogging({ format, stderr = false } = {}) {
+  json = format === 'json';
+  infoToStderr = stderr;
+}
+
+function write(level, msg, fields) {
+  if (json) {
+    const line = JSON.stringify({ time: new Date().toISOString(), level, msg, ...fields });
+    (level === 'info' && !infoToStderr ? process.stdout : process.stderr).write(`${line}\n`);
+    return;
+  }
+  (level === 'info' && !infoToStderr ? console.log : console.error)(msg);
+}
+
+const log = {
+  info: (msg, fields) => write('info', msg, fields),
+  warn: (msg, fields) => write('warn', msg, fields),
+  error: (msg, fields) => write('error', msg, fields),
+  isJson: () => json,
+};
+
+module.exports = { log, configureLogging };
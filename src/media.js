@@ -0,0 +1,370 @@
+'use strict';
+
+const { spawn } = require('child_process');
+const fs = require('fs');
+const { log } = require('./log');
+
+function runCommand(command, args, options = {}) {
+  return new Promise((resolve, reject) => {
+    const child = spawn(command, args, { stdio: ['ignore', 'pipe', 'pipe'], ...options });
+    let stdout = '';
+    let stderr = '';
+
+    child.stdout.on('data', (d) => (stdout += d.toString()));
+    child.stderr.on('data', (d) => (stderr += d.toString()));
+
+    child.on('error', (err) => reject(err));
+
+    child.on('close', (code) => {
+      if (code === 0 || options.allowNonZeroExit) {
+        resolve({ stdout: stdout.trim(), stderr: stderr.trim(), code });
+      } else {
+        reject(new Error(`${command} exited with code ${code}: ${stderr || stdout}`));
+      }
+    });
+  });
+}
+
+function buildCookieHeaderFromNetscape(text) {
+  try {
+    const lines = text.split(/\r?\n/);
+    const now = Math.floor(Date.now() / 1000);
+    const cookies = [];
+    for (const line of lines) {
+      if (!line || line.startsWith('#')) continue;
+      const parts = line.split('\t');
+      if (parts.length < 7) continue;
+      const domain = parts[0];
+      const expires = parseInt(parts[4], 10);
+      const name = parts[5];
+      const value = parts[6];
+      if (Number.isFinite(expires) && expires > 0 && expires < now) continue;
+      if (!/youtube\.|google\./.test(domain)) continue;
+      cookies.push(`${name}=${value}`);
+    }
+    return cookies.length ? cookies.join('; ') : null;
+  } catch {
+    return null;
+  }
+}
+
+// Initialize cookie sources for resolving restricted YouTube URLs
+const ytCookieState = (() => {
+  const result = { cookiesPath: null, cookieHeader: null };
+  try {
+    const b64 = process.env.YTDLP_COOKIES_BASE64;
+    const pathEnv = process.env.YTDLP_COOKIES_PATH;
+    if (b64) {
+      const buf = Buffer.from(b64, 'base64');
+      const tmpPath = '/tmp/yt_cookies.txt';
+      fs.writeFileSync(tmpPath, buf);
+      result.cookiesPath = tmpPath;
+      result.cookieHeader = buildCookieHeaderFromNetscape(buf.toString('utf8'));
+    } else if (pathEnv && fs.existsSync(pathEnv)) {
+      result.cookiesPath = pathEnv;
+      try {
+        const text = fs.readFileSync(pathEnv, 'utf8');
+        result.cookieHeader = buildCookieHeaderFromNetscape(text);
+      } catch {}
+    } else if (process.env.YTDLP_COOKIE_HEADER) {
+      result.cookieHeader = process.env.YTDLP_COOKIE_HEADER;
+    }
+  } catch (e) {
+    console.error('Failed to initialize cookies:', e?.message || e);
+  }
+  return result;
+})();
+
+async function resolveMediaUrl(pageUrl) {
+  let ytErrorMsg = null;
+  let slErrorMsg = null;
+
+  // Try yt-dlp (covers YouTube, Twitch, Kick for many cases)
+  try {
+    const ytArgs = ['-g', '-f', 'bestaudio'];
+    if (ytCookieState.cookiesPath) {
+      ytArgs.push('--cookies', ytCookieState.cookiesPath);
+    }
+    ytArgs.push(pageUrl);
+    const { stdout } = await runCommand('yt-dlp', ytArgs);
+    const lines = stdout.split(/\r?\n/).map((l) => l.trim()).filter(Boolean);
+    if (lines.length > 0) {
+      return lines[0];
+    }
+  } catch (err) {
+    ytErrorMsg = err?.message || String(err);
+    log.warn(`yt-dlp failed to resolve media URL: ${ytErrorMsg}`, { url: pageUrl });
+  }
+  // Fallback: streamlink (widely supports live platforms)
+  try {
+    const slArgs = [];
+    if (ytCookieState.cookieHeader) {
+      slArgs.push('--http-header', `Cookie=${ytCookieState.cookieHeader}`);
+    }
+    slArgs.push('--stream-url', pageUrl, 'best');
+    const { stdout } = await runCommand('streamlink', slArgs);
+    const url = stdout.trim();
+    if (url) return url;
+  } catch (err) {
+    slErrorMsg = err?.message || String(err);
+    log.warn(`streamlink failed to resolve media URL: ${slErrorMsg}`, { url: pageUrl });
+  }
+
+  const hint = [];
+  if (ytCookieState.cookiesPath || ytCookieState.cookieHeader) {
+    hint.push('cookies provided');
+  } else {
+    hint.push('no cookies');
+  }
+  const detail = `(yt-dlp: ${ytErrorMsg || 'n/a'}; streamlink: ${slErrorMsg || 'n/a'}; ${hint.join(', ')})`;
+  throw new Error(`Failed to resolve a direct media URL. Ensure yt-dlp or streamlink is installed and the URL is a valid livestream. ${detail}`);
+}
+
+// `seekSeconds` starts decoding part-way into a VOD (a time range, or
+// resuming); `durationSeconds` stops after that much audio
+function startFfmpegPcmStream(mediaUrl, { seekSeconds, durationSeconds } = {}) {
+  const ffArgs = [
+    '-hide_banner',
+    '-loglevel', 'error',
+    ...(seekSeconds > 0 ? ['-ss', String(seekSeconds)] : []),
+    '-i', mediaUrl,
+    ...(durationSeconds > 0 ? ['-t', String(durationSeconds)] : []),
+    '-vn',
+    '-ac', '1',
+    '-ar', '16000',
+    '-f', 's16le',
+    '-acodec', 'pcm_s16le',
+    'pipe:1',
+  ];
+  const ff = spawn('ffmpeg', ffArgs, { stdio: ['ignore', 'pipe', 'pipe'] });
+  return ff;
+}
+
+// Encode 16kHz mono PCM written to stdin into `output` with the given codec args
+function startFfmpegEncoder(output, codecArgs) {
+  const ffArgs = [
+    '-hide_banner',
+    '-loglevel', 'error',
+    '-f', 's16le',
+    '-ar', '16000',
+    '-ac', '1',
+    '-i', 'pipe:0',
+    ...codecArgs,
+    '-y', output,
+  ];
+  return spawn('ffmpeg', ffArgs, { stdio: ['pipe', 'ignore', 'pipe'] });
+}
+
+// Duration of a local media file in seconds, or null if ffprobe can't tell
+async function probeDurationSeconds(file) {
+  try {
+    const { stdout } = await runCommand('ffprobe', ['-v', 'error', '-show_entries', 'format=duration', '-of', 'default=noprint_wrappers=1:nokey=1', file]);
+    const seconds = Number(stdout);
+    return Number.isFinite(seconds) && seconds > 0 ? seconds : null;
+  } catch {
+    return null;
+  }
+}
+
+function startFfmpegMicStream(deviceArg) {
+  const platform = process.platform;
+  let ffArgs;
+
+  if (platform === 'darwin') {
+    // macOS: avfoundation input. Device format ":<audio_index>". Default to :0
+    const input = deviceArg ? deviceArg : ':0';
+    ffArgs = [
+      '-hide_banner',
+      '-loglevel', 'error',
+      '-f', 'avfoundation',
+      '-i', input,
+      '-ac', '1',
+      '-ar', '16000',
+      '-f', 's16le',
+      '-acodec', 'pcm_s16le',
+      'pipe:1',
+    ];
+  } else if (platform === 'win32') {
+    // Windows: dshow input. Device format "audio=<DEVICE_NAME>"
+    const input = deviceArg ? `audio=${deviceArg}` : 'audio=default';
+    ffArgs = [
+      '-hide_banner',
+      '-loglevel', 'error',
+      '-f', 'dshow',
+      '-i', input,
+      '-ac', '1',
+      '-ar', '16000',
+      '-f', 's16le',
+      '-acodec', 'pcm_s16le',
+      'pipe:1',
+    ];
+  } else {
+    // Linux: prefer PulseAudio if available; fallback to ALSA default
+    const input = deviceArg || 'default';
+    ffArgs = [
+      '-hide_banner',
+      '-loglevel', 'error',
+      '-f', 'pulse',
+      '-i', input,
+      '-ac', '1',
+      '-ar', '16000',
+      '-f', 's16le',
+      '-acodec', 'pcm_s16le',
+      'pipe:1',
+    ];
+  }
+
+  const ff = spawn('ffmpeg', ffArgs, { stdio: ['ignore', 'pipe', 'pipe'] });
+  return ff;
+}
+
+async function listMicDevices() {
+  const platform = process.platform;
+  try {
+    if (platform === 'darwin') {
+      // avfoundation lists devices via this special input
+      const { stderr } = await runCommand('ffmpeg', ['-f', 'avfoundation', '-list_devices', 'true', '-i', '""'], { allowNonZeroExit: true });
+      console.log('Available avfoundation devices (use the audio index as ":<index>"):\n');
+      console.log(stderr);
+      return;
+    }
+    if (platform === 'win32') {
+      const { stderr } = await runCommand('ffmpeg', ['-list_devices', 'true', '-f', 'dshow', '-i', 'dummy'], { allowNonZeroExit: true });
+      console.log('Available dshow devices (use device name after "audio="):\n');
+      console.log(stderr);
+      return;
+    }
+    // Linux: try PulseAudio sources
+    try {
+      const { stdout } = await runCommand('pactl', ['list', 'short', 'sources']);
+      if (stdout.trim()) {
+        console.log('PulseAudio sources (use with --device <name>):\n');
+        console.log(stdout);
+        return;
+      }
+    } catch (_) { /* ignore */ }
+    // Fallback to ffmpeg listing via ALSA
+    const { stderr } = await runCommand('ffmpeg', ['-f', 'alsa', '-list_devices', 'true', '-i', 'dummy'], { allowNonZeroExit: true });
+    console.log('Available ALSA devices (use with --device hw:*,* or name):\n');
+    console.log(stderr);
+  } catch (err) {
+    console.error('Failed to list devices:', err.message);
+  }
+}
+
+// Return normalized list of microphone input choices for the UI
+async function getMicDevices() {
+  const platform = process.platform;
+  try {
+    if (platform === 'darwin') {
+      const { stderr } = await runCommand('ffmpeg', ['-f', 'avfoundation', '-list_devices', 'true', '-i', '""'], { allowNonZeroExit: true });
+      const lines = stderr.split(/\r?\n/);
+      const devices = [];
+      let inAudio = false;
+      for (const line of lines) {
+        if (line.includes('AVFoundation audio devices')) { inAudio = true; continue; }
+        if (line.includes('AVFoundation video devices')) { inAudio = false; continue; }
+        if (!inAudio) continue;
+        const m = line.match(/\[(\d+)\]\s+(.+)/);
+        if (m) {
+          devices.push({ id: `:${m[1]}`, label: m[2].trim() });
+        }
+      }
+      if (devices.length === 0) devices.push({ id: ':0', label: 'Default (:0)' });
+      return devices;
+    }
+    if (platform === 'win32') {
+      const { stderr } = await runCommand('ffmpeg', ['-list_devices', 'true', '-f', 'dshow', '-i', 'dummy'], { allowNonZeroExit: true });
+      const lines = stderr.split(/\r?\n/);
+      const devices = [];
+      let inAudio = false;
+      for (const line of lines) {
+        if (/DirectShow audio devices/.test(line)) { inAudio = true; continue; }
+        if (/DirectShow video devices/.test(line)) { inAudio = false; continue; }
+        if (!inAudio) continue;
+        const m = line.match(/"([^"]+)"/);
+        if (m) devices.push({ id: m[1], label: m[1] });
+      }
+      if (devices.length === 0) devices.push({ id: 'default', label: 'Default' });
+      return devices;
+    }
+    // Linux
+    try {
+      const { stdout } = await runCommand('pactl', ['list', 'short', 'sources']);
+      const devices = stdout.split(/\r?\n/).map((l) => l.trim()).filter(Boolean).map((l) => {
+        const parts = l.split(/\t/);
+        const name = parts[1];
+        const desc = parts[1];
+        return { id: name, label: desc };
+      });
+      if (devices.length === 0) devices.push({ id: 'default', label: 'Default' });
+      return devices;
+    } catch (_) {
+      // ALSA fallback unknown — return default
+      return [{ id: 'default', label: 'Default' }];
+    }
+  } catch (err) {
+    return [{ id: process.platform === 'win32' ? 'default' : (process.platform === 'darwin' ? ':0' : 'default'), label: 'Default' }];
+  }
+}
+
+// VOD metadata from yt-dlp: title, duration and chapters ({ title, start, end }
+// in seconds). Chapters are empty when the video has none.
+async function fetchVodInfo(pageUrl) {
+  const ytArgs = ['-J', '--no-playlist', '--no-warnings'];
+  if (ytCookieState.cookiesPath) {
+    ytArgs.push('--cookies', ytCookieState.cookiesPath);
+  }
+  ytArgs.push(pageUrl);
+  const { stdout } = await runCommand('yt-dlp', ytArgs);
+  const info = JSON.parse(stdout);
+  return {
+    title: info.title || null,
+    duration: Number(info.duration) || null,
+    isLive: !!info.is_live,
+    chapters: (info.chapters || []).map((c, i) => ({
+      index: i,
+      title: c.title || `Chapter ${i + 1}`,
+      start: Number(c.start_time) || 0,
+      end: Number(c.end_time) || null,
+    })),
+  };
+}
+
+// "90", "1:30", "01:02:03.5" -> seconds; null for blank, NaN for garbage
+// (including negative or non-finite numbers)
+function parseTimestamp(value) {
+  if (value === undefined || value === null) return null;
+  if (typeof value === 'number') return Number.isFinite(value) && value >= 0 ? value : NaN;
+  const text = String(value).trim();
+  if (!text) return null;
+  const parts = text.split(':');
+  if (parts.length > 3 || !parts.every((p) => /^\d+(\.\d+)?$/.test(p))) return NaN;
+  return parts.reduce((total, p) => total * 60 + Number(p), 0);
+}
+
+function detectPlatformFromUrl(url) {
+  try {
+    const { hostname } = new URL(url);
+    if (/youtube\.com$|youtu\.be$/.test(hostname)) return 'YouTube';
+    if (/twitch\.tv$/.test(hostname)) return 'Twitch';
+    if (/kick\.com$/.test(hostname)) return 'Kick';
+    return hostname;
+  } catch (_) {
+    return 'unknown';
+  }
+}
+
+module.exports = {
+  runCommand,
+  resolveMediaUrl,
+  startFfmpegPcmStream,
+  startFfmpegMicStream,
+  startFfmpegEncoder,
+  probeDurationSeconds,
+  fetchVodInfo,
+  parseTimestamp,
+  listMicDevices,
+  getMicDevices,
+  detectPlatformFromUrl,
+};
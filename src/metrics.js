@@ -0,0 +1,120 @@
+'use strict';
+
+const BYTES_PER_SECOND = 32000; // 16kHz mono s16le
+const LATENCY_BUCKETS = [0.25, 0.5, 1, 2, 3, 5, 10, 30];
+
+function escapeLabel(value) {
+  return String(value).replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/"/g, '\\"');
+}
+
+function formatLabels(labels) {
+  const entries = Object.entries(labels || {});
+  return entries.length ? `{${entries.map(([k, v]) => `${k}="${escapeLabel(v)}"`).join(',')}}` : '';
+}
+
+function labelKey(labels) {
+  return JSON.stringify(Object.entries(labels || {}).sort(([a], [b]) => a.localeCompare(b)));
+}
+
+// Just enough of the Prometheus text format for our metrics: counters,
+// histograms, and gauges computed at scrape time by `collect()`, which
+// returns [{ labels, value }] or a plain number.
+function createRegistry() {
+  const metrics = [];
+
+  function counter(name, help) {
+    const values = new Map(); // labelKey -> { labels, value }
+    metrics.push({ name, help, type: 'counter', samples: () => [...values.values()] });
+    return {
+      inc(amount = 1, labels = {}) {
+        const key = labelKey(labels);
+        const entry = values.get(key) || { labels, value: 0 };
+        entry.value += amount;
+        values.set(key, entry);
+      },
+    };
+  }
+
+  function gauge(name, help, collect) {
+    metrics.push({
+      name,
+      help,
+      type: 'gauge',
+      samples: () => {
+        const result = collect();
+        return typeof result === 'number' ? [{ labels: {}, value: result }] : result;
+      },
+    });
+  }
+
+  function histogram(name, help, buckets) {
+    const counts = buckets.map(() => 0);
+    let sum = 0;
+    let count = 0;
+    metrics.push({
+      name,
+      help,
+      type: 'histogram',
+      samples: () => [
+        ...buckets.map((le, i) => ({ suffix: '_bucket', labels: { le }, value: counts[i] })),
+        { suffix: '_bucket', labels: { le: '+Inf' }, value: count },
+        { suffix: '_sum', labels: {}, value: sum },
+        { suffix: '_count', labels: {}, value: count },
+      ],
+    });
+    return {
+      observe(value) {
+        buckets.forEach((le, i) => { if (value <= le) counts[i] += 1; });
+        sum += value;
+        count += 1;
+      },
+    };
+  }
+
+  function render() {
+    const lines = [];
+    for (const metric of metrics) {
+      lines.push(`# HELP ${metric.name} ${metric.help}`, `# TYPE ${metric.name} ${metric.type}`);
+      for (const sample of metric.samples()) {
+        lines.push(`${metric.name}${sample.suffix || ''}${formatLabels(sample.labels)} ${sample.value}`);
+      }
+    }
+    return `${lines.join('\n')}\n`;
+  }
+
+  return { counter, gauge, histogram, render };
+}
+
+// Server-wide metrics. Sessions report through the hooks (audio, latency,
+// ffmpegRestart, providerError); index.js adds gauges over live sessions.
+function createMetrics() {
+  const registry = createRegistry();
+  const audioBytes = registry.counter('debate_audio_bytes_total', 'PCM bytes sent to the transcription provider');
+  const audioSeconds = registry.counter('debate_audio_seconds_total', 'Seconds of audio sent to the transcription provider');
+  const latency = registry.histogram('debate_transcription_latency_seconds', 'Audio sent so far minus the end of each final segment', LATENCY_BUCKETS);
+  const ffmpegRestarts = registry.counter('debate_ffmpeg_restarts_total', 'ffmpeg started again within a session (reconnects and resumes)');
+  const providerErrors = registry.counter('debate_provider_errors_total', 'Errors reported by the transcription provider');
+  for (const counter of [audioBytes, audioSeconds, ffmpegRestarts]) counter.inc(0); // export zeros from the start
+  const startedAt = Date.now();
+  registry.gauge('process_resident_memory_bytes', 'Resident memory size in bytes', () => process.memoryUsage().rss);
+  registry.gauge('process_start_time_seconds', 'Start time of the process since the epoch in seconds', () => Math.floor(startedAt / 1000));
+
+  return {
+    registry,
+    audio(bytes) {
+      audioBytes.inc(bytes);
+      audioSeconds.inc(bytes / BYTES_PER_SECOND);
+    },
+    latency(seconds) {
+      latency.observe(Math.max(0, seconds));
+    },
+    ffmpegRestart() {
+      ffmpegRestarts.inc();
+    },
+    providerError(provider) {
+      providerErrors.inc(1, { provider });
+    },
+  };
+}
+
+module.exports = { createMetrics, createRegistry };
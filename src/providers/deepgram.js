@@ -0,0 +1,119 @@
+'use strict';
+
+const { EventEmitter } = require('events');
+const { createClient, LiveTranscriptionEvents } = require('@deepgram/sdk');
+
+const DEFAULT_LIVE_OPTIONS = {
+  model: 'nova-2',
+  language: 'en',
+  punctuate: true,
+  interim_results: true,
+  smart_format: true,
+  diarize: true,
+  encoding: 'linear16',
+  sample_rate: 16000,
+};
+
+// Batch transcription of a whole file; utterances become final segments
+const DEFAULT_PRERECORDED_OPTIONS = {
+  model: 'nova-2',
+  language: 'en',
+  punctuate: true,
+  smart_format: true,
+  diarize: true,
+  utterances: true,
+  encoding: 'linear16',
+  sample_rate: 16000,
+};
+
+// Merge provider-neutral session options (see transcription.js) into
+// Deepgram's defaults. Streaming has no language detection, so "auto" streams
+// as multilingual; nova-3 takes `keyterm` prompts, older models `keywords`.
+// Fillers ("um", "uh") are only kept in the transcript when asked for.
+function toDeepgramOptions(defaults, options = {}, { live }) {
+  const { language, model, endpointing, keywords = [], fillerWords } = options;
+  const result = { ...defaults };
+  const multilingual = language === 'multi' || language === 'auto';
+  if (model) result.model = model;
+  else if (multilingual) result.model = 'nova-3';
+  if (language === 'auto' && !live) {
+    result.detect_language = true;
+    delete result.language;
+  } else if (language) {
+    result.language = multilingual ? 'multi' : language;
+  }
+  if (live && endpointing !== null && endpointing !== undefined) result.endpointing = endpointing;
+  if (fillerWords) result.filler_words = true;
+  if (keywords.length) {
+    if (result.model.startsWith('nova-3')) {
+      result.keyterm = keywords.map((k) => k.term);
+    } else {
+      result.keywords = keywords.map((k) => (k.boost === null ? k.term : `${k.term}:${k.boost}`));
+    }
+  }
+  return result;
+}
+
+function normalizeDeepgramWord(w) {
+  return {
+    word: w.punctuated_word || w.word,
+    start: w.start,
+    end: w.end,
+    speaker: w.speaker ?? 'unknown',
+    confidence: w.confidence,
+  };
+}
+
+// Convert a Deepgram `Results` message into the provider-neutral segment shape
+function normalizeDeepgramResult(data) {
+  const alt = data?.channel?.alternatives?.[0];
+  if (!alt) return null;
+  const words = (Array.isArray(alt.words) ? alt.words : []).map(normalizeDeepgramWord);
+  return { isFinal: !!data.is_final, text: alt.transcript || '', words };
+}
+
+// Convert a prerecorded response into final segments, one per utterance
+function normalizeDeepgramPrerecorded(result) {
+  const utterances = result?.results?.utterances;
+  if (Array.isArray(utterances)) {
+    return utterances
+      .map((u) => ({ isFinal: true, text: u.transcript || '', words: (u.words || []).map(normalizeDeepgramWord) }))
+      .filter((segment) => segment.text && segment.words.length);
+  }
+  const alt = result?.results?.channels?.[0]?.alternatives?.[0];
+  if (!alt || !alt.transcript) return [];
+  return [{ isFinal: true, text: alt.transcript, words: (alt.words || []).map(normalizeDeepgramWord) }];
+}
+
+function createDeepgramProvider({ apiKey }) {
+  const deepgram = createClient(apiKey);
+
+  function createStream(options = {}) {
+    const stream = new EventEmitter();
+    let connection = null;
+
+    stream.open = () => {
+      connection = deepgram.listen.live(toDeepgramOptions(DEFAULT_LIVE_OPTIONS, options, { live: true }));
+      connection.on(LiveTranscriptionEvents.Open, () => stream.emit('open'));
+      connection.on(LiveTranscriptionEvents.Transcript, (data) => {
+        const segment = normalizeDeepgramResult(data);
+        if (segment) stream.emit('transcript', segment);
+      });
+      connection.on(LiveTranscriptionEvents.Error, (err) => stream.emit('error', err));
+      connection.on(LiveTranscriptionEvents.Close, () => stream.emit('close'));
+    };
+    stream.send = (chunk) => connection && connection.send(chunk);
+    stream.finish = () => connection && connection.finish();
+    return stream;
+  }
+
+  async function transcribeAudio(audio, options = {}) {
+    const { result, error } = await deepgram.listen.prerecorded.transcribeFile(audio, toDeepgramOptions(DEFAULT_PRERECORDED_OPTIONS, options, { live: false }));
+    if (error) throw new Error(`Deepgram transcription failed: ${error.message || error}`);
+    return normalizeDeepgramPrerecorded(result);
+  }
+
+  return { name: 'deepgram', needsAudio: true, createStream, transcribeAudio };
+}
+
+module.exports = { createDeepgramProvider, normalizeDeepgramResult, normalizeDeepgramPrerecorded, toDeepgramOptions };
@@ -0,0 +1,40 @@
+'use strict';
+
+const { createDeepgramProvider } = require('./deepgram');
+const { createReplayProvider } = require('./replay');
+
+// A provider exposes `createStream(options, { offset })`, returning an
+// EventEmitter with `open()`, `send(chunk)` and `finish()`. Streams emit
+// `open`, `close`, `error` and `transcript` with normalized segments:
+//   { isFinal, text, words: [{ word, start, end, speaker, confidence }] }
+// Word times are seconds from the start of the stream. `offset` is where the
+// stream starts on the session's timeline (non-zero after a reconnect or
+// resume).
+//
+// Providers with `needsAudio: false` produce transcripts on their own, are
+// never fed PCM and start at `offset` rather than from the beginning. Those
+// that run faster than real time set `speed`, the timeline seconds that pass
+// per wall-clock second (1 if unset).
+//
+// Providers may also offer `transcribeAudio(audio, options)` for whole
+// files; this is what uploads go through. `audio` is a readable stream of
+// the decoded PCM (null for providers that don't need audio), and it
+// resolves to final segments.
+//
+// `options` are the session's { language, model, endpointing, keywords,
+// fillerWords } (transcription.js), which providers map onto their own
+// settings or ignore.
+const PROVIDERS = {
+  deepgram: createDeepgramProvider,
+  replay: createReplayProvider,
+};
+
+function createProvider(name, options = {}) {
+  const factory = PROVIDERS[name];
+  if (!factory) {
+    throw new Error(`Unknown transcription provider "${name}". Available: ${Object.keys(PROVIDERS).join(', ')}`);
+  }
+  return factory(options);
+}
+
+module.exports = { createProvider, PROVIDERS };
@@ -0,0 +1,107 @@
+'use strict';
+
+const fs = require('fs');
+const { EventEmitter } = require('events');
+const { normalizeDeepgramResult } = require('./deepgram');
+
+// Each JSONL line is either a normalized segment ({ isFinal, text, words })
+// or a raw Deepgram `Results` message as captured from a live session.
+function parseReplayLine(line) {
+  const obj = JSON.parse(line);
+  if (obj.channel) return normalizeDeepgramResult(obj);
+  const words = (Array.isArray(obj.words) ? obj.words : []).map((w) => ({
+    word: w.punctuated_word || w.word,
+    start: Number(w.start) || 0,
+    end: Number(w.end) || Number(w.start) || 0,
+    speaker: w.speaker ?? 'unknown',
+    confidence: w.confidence,
+  }));
+  const text = obj.text ?? obj.transcript ?? words.map((w) => w.word).join(' ');
+  return { isFinal: !!(obj.isFinal ?? obj.is_final), text, words };
+}
+
+function loadReplayFile(file) {
+  const text = fs.readFileSync(file, 'utf8');
+  const segments = [];
+  text.split(/\r?\n/).forEach((line, i) => {
+    if (!line.trim()) return;
+    try {
+      const segment = parseReplayLine(line);
+      if (segment && segment.words.length) segments.push(segment);
+    } catch (err) {
+      throw new Error(`Invalid replay line ${i + 1} in ${file}: ${err.message}`);
+    }
+  });
+  return segments;
+}
+
+// Replays a recorded transcript on the clock implied by its word timings.
+// Audio is ignored, so no ffmpeg, media URL or network access is needed.
+// Like a live stream, a stream opened at `offset` (a reconnect or resume)
+// picks up where the recording is by then instead of starting over. The
+// provider's `speed` tells the session its timeline runs that much faster
+// than the wall clock, so `offset` is already in recording seconds.
+function createReplayProvider({ file, speed = 1 }) {
+  if (!file) throw new Error('Replay provider requires a transcript file (REPLAY_FILE or --replay <file>)');
+  const segments = loadReplayFile(file);
+  const rate = Number(speed) > 0 ? Number(speed) : 1;
+
+  function createStream(_options, { offset = 0 } = {}) {
+    const stream = new EventEmitter();
+    const position = offset;
+    let timer = null;
+    let closed = false;
+
+    // Words already played are dropped; the rest are timed from the start
+    // of this stream, which the session places at `offset`
+    function fromPosition(segment) {
+      const words = segment.words
+        .filter((w) => w.end > position)
+        .map((w) => ({ ...w, start: w.start - offset, end: w.end - offset }));
+      if (words.length === segment.words.length) return { ...segment, words };
+      return { ...segment, words, text: words.map((w) => w.word).join(' ') };
+    }
+
+    function close() {
+      if (closed) return;
+      closed = true;
+      clearTimeout(timer);
+      stream.emit('close');
+    }
+
+    function scheduleFrom(start, openedAt) {
+      let index = start;
+      let segment = null;
+      while (index < segments.length && !(segment = fromPosition(segments[index])).words.length) index += 1;
+      if (index >= segments.length) {
+        timer = setTimeout(close, 1000 / rate);
+        return;
+      }
+      const dueMs = ((segments[index].words[segments[index].words.length - 1].end - position) * 1000) / rate;
+      timer = setTimeout(() => {
+        stream.emit('transcript', segment);
+        scheduleFrom(index + 1, openedAt);
+      }, Math.max(0, openedAt + dueMs - Date.now()));
+    }
+
+    stream.open = () => {
+      setImmediate(() => {
+        if (closed) return;
+        stream.emit('open');
+        scheduleFrom(0, Date.now());
+      });
+    };
+    stream.send = () => {};
+    stream.finish = () => setImmediate(close);
+    return stream;
+  }
+
+  // The whole recording at once, as a batch provider would return it
+  async function transcribeAudio() {
+    return segments.filter((segment) => segment.isFinal);
+  }
+
+  return { name: 'replay', needsAudio: false, speed: rate, createStream, transcribeAudio };
+}
+
+module.exports = { createReplayProvider, loadReplayFile };
@@ -13,24 +13,46 @@ const pctBEl = document.getElementById('pct-b');
 const tabLive = document.getElementById('tab-live');
 const tabVideo = document.getElementById('tab-video');
 const tabMic = document.getElementById('tab-mic');
+const tabFile = document.getElementById('tab-file');
 const panelUrl = document.getElementById('panel-url');
 const panelMic = document.getElementById('panel-mic');
+const panelFile = document.getElementById('panel-file');
 
 // Unified source controls
 const sourceUrlInput = document.getElementById('source-url');
 const sourceStartBtn = document.getElementById('start-source-btn');
+const vodRangeEl = document.getElementById('vod-range');
+const rangeStartInput = document.getElementById('range-start');
+const rangeEndInput = document.getElementById('range-end');
+const chapterSelect = document.getElementById('chapter-select');
+const loadChaptersBtn = document.getElementById('load-chapters-btn');
+const urlHintEl = document.getElementById('url-hint');
 const micSelect = document.getElementById('mic-select');
 const stopBtn = document.getElementById('stop-btn');
+const pauseBtn = document.getElementById('pause-btn');
 
 const statusEl = document.getElementById('status');
 const platformEl = document.getElementById('platform');
 const uptimeEl = document.getElementById('uptime');
 const wordsEl = document.getElementById('words');
 const ingestedEl = document.getElementById('ingested');
+const levelFillEl = document.getElementById('level-fill');
+const levelTextEl = document.getElementById('level-text');
+const deadAirEl = document.getElementById('dead-air');
+const silenceAlertEl = document.getElementById('silence-alert');
 
 let statusState = { uptimeMs: 0 };
 let currentActiveSpeakerLabel = null;
 let uptimeTimer = null;
+let currentSessionId = null;
+let lastAnalytics = null;
+// '' is the main session behind the top-level routes; other live sessions
+// run alongside it and are addressed under /sessions/:id
+let activeSessionId = '';
+
+function sessionPath(p) {
+  return activeSessionId ? `/sessions/${encodeURIComponent(activeSessionId)}${p}` : p;
+}
 
 function labelSeconds(sec) {
   const s = Math.round(sec);
@@ -39,13 +61,30 @@ function labelSeconds(sec) {
   return m > 0 ? `${m}m ${r}s` : `${r}s`;
 }
 
+// 3723 -> "1:02:03", 95 -> "1:35"
+function formatClock(sec) {
+  const s = Math.floor(sec);
+  const h = Math.floor(s / 3600);
+  const m = Math.floor((s % 3600) / 60);
+  const r = String(s % 60).padStart(2, '0');
+  return h > 0 ? `${h}:${String(m).padStart(2, '0')}:${r}` : `${m}:${r}`;
+}
+
 const speakerMap = new Map(); // speakerId -> label
 const nextLabel = (() => { let idx = 0; const labels = ['A','B','C','D','E']; return () => labels[idx++] || `S${idx}`; })();
-function labelFor(speaker) {
+// Prefer the label assigned by the server so every client agrees
+function labelFor(speaker, serverLabel) {
+  if (serverLabel) speakerMap.set(speaker, serverLabel);
   if (!speakerMap.has(speaker)) speakerMap.set(speaker, nextLabel());
   return speakerMap.get(speaker);
 }
 
+function nameForLabel(label) {
+  if (label === 'A') return nameAInput.value || 'Speaker A';
+  if (label === 'B') return nameBInput.value || 'Speaker B';
+  return `Speaker ${label}`;
+}
+
 function updateBars(durations) {
   const entries = Object.entries(durations || {});
   const sorted = entries.sort((a,b) => b[1]-a[1]);
@@ -66,8 +105,44 @@ function updateBars(durations) {
   pctBEl.textContent = `(${pB.toFixed(0)}%)`;
 }
 
-function setStatus(status) {
-  statusEl.textContent = status || '-';
+// Level meter spans -60..0 dBFS; green while there's voice activity
+function renderLevel(level) {
+  if (!level) {
+    levelFillEl.style.width = '0%';
+    levelFillEl.className = '';
+    levelTextEl.textContent = '-';
+    return;
+  }
+  levelFillEl.style.width = `${Math.min(100, Math.max(0, ((level.rmsDb + 60) / 60) * 100))}%`;
+  levelFillEl.className = level.voice ? 'voice' : '';
+  levelTextEl.textContent = `${Math.round(level.rmsDb)} dBFS${level.voice ? ' · voice' : ''}`;
+  if (level.deadAirSeconds != null) deadAirEl.textContent = labelSeconds(level.deadAirSeconds);
+}
+
+// Stays up for as long as the source is silent
+function renderSilence(level, status) {
+  if (!level || !level.silence || status !== 'streaming') {
+    silenceAlertEl.className = 'format-alert warning';
+    return;
+  }
+  const cause = level.silence === 'muted' ? 'the source looks muted' : 'only silence is coming through';
+  silenceAlertEl.textContent = `No audio for ${labelSeconds(level.silentSeconds)}: ${cause}`;
+  silenceAlertEl.className = 'format-alert warning visible';
+}
+
+function describeProgress(progress) {
+  if (!progress || !progress.stage) return '';
+  return progress.percent == null ? progress.stage : `${progress.stage} ${Math.floor(progress.percent)}%`;
+}
+
+function setStatus(status, { reconnectAttempt, progress } = {}) {
+  if (status === 'reconnecting' && reconnectAttempt) {
+    statusEl.textContent = `reconnecting (attempt ${reconnectAttempt})`;
+  } else if (status === 'processing' && progress) {
+    statusEl.textContent = `processing (${describeProgress(progress)})`;
+  } else {
+    statusEl.textContent = status || '-';
+  }
 }
 
 function setPlatform(p) {
@@ -99,14 +174,18 @@ async function fetchJSON(url, opts) {
 // Mode switching logic
 function setMode(mode) {
   // Update tabs
-  for (const btn of [tabLive, tabVideo, tabMic]) {
+  for (const btn of [tabLive, tabVideo, tabMic, tabFile]) {
     btn.classList.toggle('active', btn.dataset.mode === mode);
     btn.setAttribute('aria-selected', String(btn.dataset.mode === mode));
   }
   // Update panels and placeholders
+  panelFile.style.display = mode === 'file' ? 'block' : 'none';
   if (mode === 'mic') {
     panelMic.style.display = 'block';
     panelUrl.style.display = 'none';
+  } else if (mode === 'file') {
+    panelMic.style.display = 'none';
+    panelUrl.style.display = 'none';
   } else {
     panelMic.style.display = 'none';
     panelUrl.style.display = 'block';
@@ -115,6 +194,10 @@ function setMode(mode) {
     sourceUrlInput.placeholder = isLive
       ? 'Paste a live stream URL (YouTube/Twitch/Kick)'
       : 'Paste a video URL (YouTube)';
+    vodRangeEl.style.display = isLive ? 'none' : 'block';
+    urlHintEl.textContent = isLive
+      ? 'Tip: For prerecorded videos, switch to "Video URL".'
+      : 'Optionally limit to a time range or chapter; timestamps stay relative to the video.';
   }
   panelUrl.dataset.mode = mode;
 }
@@ -122,6 +205,31 @@ function setMode(mode) {
 tabLive.addEventListener('click', () => setMode('live'));
 tabVideo.addEventListener('click', () => setMode('video'));
 tabMic.addEventListener('click', () => setMode('mic'));
+tabFile.addEventListener('click', () => setMode('file'));
+
+// Starting the main session replaces it (the server keeps its history).
+// Another session is started in place if it hasn't run yet; otherwise a
+// new session is created next to it.
+async function startSession(source) {
+  source = { ...source, transcription: transcriptionOptions() };
+  if (recordAudioSelect.value) source.record = recordAudioSelect.value;
+  if (!activeSessionId) {
+    await fetchJSON('/start', { method: 'POST', body: JSON.stringify(source) });
+    return;
+  }
+  if (lastAnalytics && lastAnalytics.status === 'idle') {
+    await fetchJSON(sessionPath('/start'), { method: 'POST', body: JSON.stringify(source) });
+    return;
+  }
+  if (lastAnalytics && ['streaming', 'connecting', 'reconnecting', 'processing'].includes(lastAnalytics.status)) {
+    if (!confirm('This session is running. Stop it and start a new one?')) return;
+    await fetchJSON(sessionPath('/stop'), { method: 'POST' });
+  }
+  const speakerNames = { A: nameAInput.value, B: nameBInput.value };
+  const { id } = await fetchJSON('/sessions', { method: 'POST', body: JSON.stringify({ ...source, speakerNames }) });
+  await refreshSessions();
+  selectSession(id);
+}
 
 // Start from URL or Video
 sourceStartBtn.addEventListener('click', async () => {
@@ -129,7 +237,15 @@ sourceStartBtn.addEventListener('click', async () => {
     sourceStartBtn.disabled = true;
     const url = sourceUrlInput.value.trim();
     if (!url) throw new Error('Please paste a URL');
-    await fetchJSON('/start', { method: 'POST', body: JSON.stringify({ url, mic: false }) });
+    // Recorded videos resume where they left off after a dropped connection
+    const source = { url, mic: false, vod: panelUrl.dataset.mode === 'video' };
+    if (source.vod && chapterSelect.value) {
+      source.chapter = Number(chapterSelect.value);
+    } else if (source.vod) {
+      source.start = rangeStartInput.value.trim();
+      source.end = rangeEndInput.value.trim();
+    }
+    await startSession(source);
   } catch (e) {
     alert('Failed to start: ' + (e.message || e));
   } finally {
@@ -137,12 +253,163 @@ sourceStartBtn.addEventListener('click', async () => {
   }
 });
 
+// Upload a file; the server transcribes it faster than realtime and reports
+// progress over SSE. Same session rules as startSession.
+async function uploadFile(file) {
+  let query = `?name=${encodeURIComponent(file.name)}&transcription=${encodeURIComponent(JSON.stringify(transcriptionOptions()))}`;
+  if (recordAudioSelect.value) query += `&record=${encodeURIComponent(recordAudioSelect.value)}`;
+  const post = (p) => fetchJSON(p + query, { method: 'POST', body: file, headers: { 'Content-Type': 'application/octet-stream' } });
+  if (!activeSessionId) {
+    await post('/upload');
+    return;
+  }
+  if (lastAnalytics && lastAnalytics.status === 'idle') {
+    await post(sessionPath('/upload'));
+    return;
+  }
+  if (lastAnalytics && ['streaming', 'connecting', 'reconnecting', 'processing'].includes(lastAnalytics.status)) {
+    if (!confirm('This session is running. Stop it and start a new one?')) return;
+    await fetchJSON(sessionPath('/stop'), { method: 'POST' });
+  }
+  const speakerNames = { A: nameAInput.value, B: nameBInput.value };
+  const { id } = await fetchJSON('/sessions', { method: 'POST', body: JSON.stringify({ speakerNames }) });
+  await post(`/sessions/${encodeURIComponent(id)}/upload`);
+  await refreshSessions();
+  selectSession(id);
+}
+
+const fileInput = document.getElementById('file-input');
+const startFileBtn = document.getElementById('start-file-btn');
+startFileBtn.addEventListener('click', async () => {
+  try {
+    startFileBtn.disabled = true;
+    const file = fileInput.files[0];
+    if (!file) throw new Error('Please choose a file');
+    setStatus('processing', { progress: { stage: 'uploading', percent: null } });
+    await uploadFile(file);
+  } catch (e) {
+    alert('Failed to upload: ' + (e.message || e));
+  } finally {
+    startFileBtn.disabled = false;
+  }
+});
+
+// Transcription options sent with every start; presets fill in the fields
+const transcriptionPresetSelect = document.getElementById('transcription-preset');
+const transcriptionLanguageInput = document.getElementById('transcription-language');
+const transcriptionModelInput = document.getElementById('transcription-model');
+const transcriptionEndpointingInput = document.getElementById('transcription-endpointing');
+const recordAudioSelect = document.getElementById('record-audio');
+const transcriptionKeywordsInput = document.getElementById('transcription-keywords');
+const transcriptionFillersInput = document.getElementById('transcription-fillers');
+const transcriptionInfoEl = document.getElementById('transcription-info');
+let transcriptionPresets = [];
+
+function transcriptionOptions() {
+  return {
+    language: transcriptionLanguageInput.value.trim(),
+    model: transcriptionModelInput.value.trim(),
+    endpointing: transcriptionEndpointingInput.value.trim(),
+    keywords: transcriptionKeywordsInput.value.split('\n').map((line) => line.trim()).filter(Boolean),
+    fillerWords: transcriptionFillersInput.checked,
+  };
+}
+
+function describeTranscription(options) {
+  if (!options) return '-';
+  const parts = [options.model || 'default model', options.language || 'default language'];
+  if (options.keywords && options.keywords.length) parts.push(`${options.keywords.length} keywords`);
+  if (options.fillerWords) parts.push('filler words');
+  return parts.join(' · ');
+}
+
+async function loadTranscriptionPresets() {
+  try {
+    const { presets } = await fetchJSON('/transcription-presets');
+    transcriptionPresets = presets;
+    const current = transcriptionPresetSelect.value;
+    transcriptionPresetSelect.innerHTML = '<option value="">Default settings</option>';
+    for (const preset of presets) {
+      const opt = document.createElement('option');
+      opt.value = preset.id;
+      opt.textContent = preset.name;
+      transcriptionPresetSelect.appendChild(opt);
+    }
+    transcriptionPresetSelect.value = current;
+  } catch {}
+}
+
+transcriptionPresetSelect.addEventListener('change', () => {
+  const preset = transcriptionPresets.find((p) => p.id === transcriptionPresetSelect.value);
+  const options = preset ? preset.options : {};
+  transcriptionLanguageInput.value = options.language || '';
+  transcriptionModelInput.value = options.model || '';
+  transcriptionEndpointingInput.value = options.endpointing == null ? '' : String(options.endpointing);
+  transcriptionKeywordsInput.value = (options.keywords || []).map((k) => (k.boost == null ? k.term : `${k.term}:${k.boost}`)).join('\n');
+  transcriptionFillersInput.checked = !!options.fillerWords;
+});
+
+document.getElementById('transcription-save').addEventListener('click', async () => {
+  const current = transcriptionPresets.find((p) => p.id === transcriptionPresetSelect.value);
+  const name = prompt('Preset name', current ? current.name : '');
+  if (!name) return;
+  try {
+    const { preset } = await fetchJSON('/transcription-presets', { method: 'POST', body: JSON.stringify({ name, options: transcriptionOptions() }) });
+    await loadTranscriptionPresets();
+    transcriptionPresetSelect.value = preset.id;
+  } catch (e) {
+    alert('Failed to save preset: ' + (e.message || e));
+  }
+});
+
+loadTranscriptionPresets();
+
+// Chapters come from yt-dlp; picking one fills in its range
+let loadedChapters = [];
+loadChaptersBtn.addEventListener('click', async () => {
+  try {
+    loadChaptersBtn.disabled = true;
+    const url = sourceUrlInput.value.trim();
+    if (!url) throw new Error('Please paste a URL');
+    const info = await fetchJSON(`/chapters?url=${encodeURIComponent(url)}`);
+    loadedChapters = info.chapters || [];
+    chapterSelect.innerHTML = '<option value="">Custom range</option>';
+    for (const chapter of loadedChapters) {
+      const opt = document.createElement('option');
+      opt.value = String(chapter.index);
+      opt.textContent = `${formatClock(chapter.start)} ${chapter.title}`;
+      chapterSelect.appendChild(opt);
+    }
+    if (!loadedChapters.length) alert('This video has no chapters');
+  } catch (e) {
+    alert('Failed to load chapters: ' + (e.message || e));
+  } finally {
+    loadChaptersBtn.disabled = false;
+  }
+});
+
+sourceUrlInput.addEventListener('input', () => {
+  if (!loadedChapters.length) return;
+  loadedChapters = [];
+  chapterSelect.innerHTML = '<option value="">Custom range</option>';
+  rangeStartInput.disabled = rangeEndInput.disabled = false;
+});
+
+chapterSelect.addEventListener('change', () => {
+  const chapter = loadedChapters.find((c) => String(c.index) === chapterSelect.value);
+  rangeStartInput.disabled = rangeEndInput.disabled = !!chapter;
+  if (chapter) {
+    rangeStartInput.value = formatClock(chapter.start);
+    rangeEndInput.value = chapter.end ? formatClock(chapter.end) : '';
+  }
+});
+
 const startMicBtn = document.getElementById('start-mic-btn');
 startMicBtn.addEventListener('click', async () => {
   try {
     startMicBtn.disabled = true;
     const device = micSelect.value || undefined;
-    await fetchJSON('/start', { method: 'POST', body: JSON.stringify({ mic: true, device }) });
+    await startSession({ mic: true, device });
   } catch (e) {
     alert('Failed to start mic: ' + (e.message || e));
   } finally {
@@ -153,7 +420,7 @@ startMicBtn.addEventListener('click', async () => {
 stopBtn.addEventListener('click', async () => {
   try {
     stopBtn.disabled = true;
-    await fetchJSON('/stop', { method: 'POST' });
+    await fetchJSON(sessionPath('/stop'), { method: 'POST' });
   } catch (e) {
     alert('Failed to stop: ' + (e.message || e));
   } finally {
@@ -161,6 +428,24 @@ stopBtn.addEventListener('click', async () => {
   }
 });
 
+// One button for both; its label follows the session status
+function setPauseButton(status) {
+  const paused = status === 'paused';
+  pauseBtn.textContent = paused ? 'Resume' : 'Pause';
+  pauseBtn.disabled = !paused && !['streaming', 'connecting', 'reconnecting'].includes(status);
+}
+
+pauseBtn.addEventListener('click', async () => {
+  const action = pauseBtn.textContent === 'Resume' ? 'resume' : 'pause';
+  try {
+    pauseBtn.disabled = true;
+    await fetchJSON(sessionPath(`/${action}`), { method: 'POST' });
+  } catch (e) {
+    alert(`Failed to ${action}: ` + (e.message || e));
+    pauseBtn.disabled = false;
+  }
+});
+
 // Populate mic devices
 (async () => {
   try {
@@ -175,40 +460,530 @@ stopBtn.addEventListener('click', async () => {
   } catch {}
 })();
 
-const es = new EventSource('/events');
-es.onmessage = (ev) => {
+// Debate format: presets, editor, round controls and countdown
+const formatSelect = document.getElementById('format-select');
+const formatEditor = document.getElementById('format-editor');
+const formatJson = document.getElementById('format-json');
+const formatStatusEl = document.getElementById('format-status');
+const roundCountdownEl = document.getElementById('round-countdown');
+const formatAlertEl = document.getElementById('format-alert');
+let formatPresets = [];
+let formatState = null; // { snapshot, receivedAt }
+let formatAlertTimer = null;
+
+function clockSeconds(sec) {
+  const sign = sec < 0 ? '-' : '';
+  const s = Math.abs(Math.ceil(sec));
+  return `${sign}${Math.floor(s / 60)}:${String(s % 60).padStart(2, '0')}`;
+}
+
+function timingClass(remaining, warnSeconds) {
+  if (remaining <= 0) return 'overtime';
+  return remaining <= warnSeconds ? 'warning' : '';
+}
+
+function renderFormat(snapshot) {
+  formatState = { snapshot, receivedAt: Date.now() };
+  if (!snapshot.format) {
+    formatStatusEl.style.display = 'none';
+    return;
+  }
+  formatStatusEl.style.display = 'grid';
+  const { round, nextRound, format } = snapshot;
+  document.getElementById('round-name').textContent = snapshot.finished
+    ? 'Debate finished'
+    : (round ? `${round.name} (${snapshot.roundIndex + 1}/${format.rounds.length})` : `${format.name}: not started`);
+  document.getElementById('round-speaker').textContent = round && round.speaker ? nameForLabel(round.speaker) : '';
+  document.getElementById('round-next').textContent = nextRound
+    ? `Next: ${nextRound.name}${nextRound.speaker ? ` (${nameForLabel(nextRound.speaker)})` : ''}`
+    : '';
+
+  const budgetsEl = document.getElementById('format-budgets');
+  budgetsEl.innerHTML = '';
+  for (const budget of snapshot.budgets || []) {
+    const el = document.createElement('span');
+    el.className = timingClass(budget.remaining, format.warnSeconds);
+    el.textContent = `${nameForLabel(budget.label)}: ${clockSeconds(budget.remaining)} left`;
+    budgetsEl.appendChild(el);
+  }
+  tickCountdown();
+}
+
+function tickCountdown() {
+  const snapshot = formatState && formatState.snapshot;
+  if (!snapshot || !snapshot.format || !snapshot.round) {
+    roundCountdownEl.textContent = snapshot && snapshot.format ? '0:00' : '';
+    roundCountdownEl.className = 'countdown';
+    return;
+  }
+  const drift = snapshot.running ? (Date.now() - formatState.receivedAt) / 1000 : 0;
+  const remaining = snapshot.remainingSeconds - drift;
+  roundCountdownEl.textContent = clockSeconds(remaining);
+  roundCountdownEl.className = `countdown ${timingClass(remaining, snapshot.format.warnSeconds)}`;
+}
+setInterval(tickCountdown, 250);
+
+function showFormatAlert(alert) {
+  formatAlertEl.textContent = alert.label && alert.scope === 'budget'
+    ? alert.message.replace(`Speaker ${alert.label}`, nameForLabel(alert.label))
+    : alert.message;
+  formatAlertEl.className = `format-alert visible ${alert.level}`;
+  clearTimeout(formatAlertTimer);
+  formatAlertTimer = setTimeout(() => { formatAlertEl.className = 'format-alert'; }, 6000);
+}
+
+async function loadFormatPresets() {
+  try {
+    const { formats } = await fetchJSON('/formats');
+    formatPresets = formats;
+    const selected = formatSelect.value;
+    formatSelect.innerHTML = '<option value="">No format</option>';
+    for (const f of formats) {
+      const opt = document.createElement('option');
+      opt.value = f.id;
+      opt.textContent = f.name;
+      formatSelect.appendChild(opt);
+    }
+    formatSelect.value = selected;
+  } catch {}
+}
+
+document.getElementById('format-load').addEventListener('click', async () => {
+  try {
+    if (!formatSelect.value) {
+      await fetchJSON(sessionPath('/format'), { method: 'DELETE' });
+      return;
+    }
+    await fetchJSON(sessionPath('/format'), { method: 'PUT', body: JSON.stringify({ id: formatSelect.value }) });
+  } catch (e) {
+    alert('Failed to load format: ' + (e.message || e));
+  }
+});
+
+document.getElementById('format-edit-toggle').addEventListener('click', () => {
+  const hidden = formatEditor.style.display === 'none';
+  formatEditor.style.display = hidden ? 'block' : 'none';
+  if (!hidden) return;
+  const base = formatPresets.find((f) => f.id === formatSelect.value)
+    || (formatState && formatState.snapshot.format)
+    || { name: 'My format', autoAdvance: false, warnSeconds: 30, budgets: {}, rounds: [{ name: 'Opening', speaker: 'A', seconds: 300 }] };
+  formatJson.value = JSON.stringify(base, null, 2);
+});
+
+function editedFormat() {
+  try {
+    return JSON.parse(formatJson.value);
+  } catch (e) {
+    throw new Error('Format is not valid JSON: ' + e.message);
+  }
+}
+
+document.getElementById('format-apply').addEventListener('click', async () => {
+  try {
+    await fetchJSON(sessionPath('/format'), { method: 'PUT', body: JSON.stringify({ format: editedFormat() }) });
+  } catch (e) {
+    alert('Failed to load format: ' + (e.message || e));
+  }
+});
+
+document.getElementById('format-save').addEventListener('click', async () => {
+  try {
+    const { format } = await fetchJSON('/formats', { method: 'POST', body: JSON.stringify({ format: editedFormat() }) });
+    await loadFormatPresets();
+    formatSelect.value = format.id;
+  } catch (e) {
+    alert('Failed to save format: ' + (e.message || e));
+  }
+});
+
+for (const btn of document.querySelectorAll('[data-format-action]')) {
+  btn.addEventListener('click', async () => {
+    try {
+      await fetchJSON(sessionPath(`/format/${btn.dataset.formatAction}`), { method: 'POST' });
+    } catch (e) {
+      alert('Format control failed: ' + (e.message || e));
+    }
+  });
+}
+
+loadFormatPresets();
+
+// Turn-taking and interruption stats
+const turnStatsBody = document.getElementById('turn-stats-body');
+const interruptionPairsEl = document.getElementById('interruption-pairs');
+
+function renderTurnStats(stats, labels) {
+  if (!stats) return;
+  const nameOf = (speaker) => nameForLabel(labelFor(speaker, (labels || {})[speaker]));
+  turnStatsBody.innerHTML = '';
+  for (const [speaker, s] of Object.entries(stats.speakers || {})) {
+    const row = document.createElement('tr');
+    for (const value of [nameOf(speaker), s.turns, labelSeconds(s.averageTurnSeconds), labelSeconds(s.longestTurnSeconds), s.interruptionsMade, s.interruptionsReceived]) {
+      const cell = document.createElement('td');
+      cell.textContent = String(value);
+      row.appendChild(cell);
+    }
+    turnStatsBody.appendChild(row);
+  }
+  interruptionPairsEl.textContent = (stats.pairs || [])
+    .map((p) => `${nameOf(p.by)} → ${nameOf(p.of)}: ${p.interruptions} interruptions${p.overlaps ? `, ${p.overlaps} overlaps` : ''}`)
+    .join(' · ');
+}
+
+// Pace, filler and vocabulary stats
+const speechStatsBody = document.getElementById('speech-stats-body');
+const speechTermsEl = document.getElementById('speech-terms');
+
+function renderSpeechStats(stats, labels) {
+  if (!stats) return;
+  const nameOf = (speaker) => nameForLabel(labelFor(speaker, (labels || {})[speaker]));
+  const wpm = (value) => (value == null ? '-' : Math.round(value));
+  speechStatsBody.innerHTML = '';
+  speechTermsEl.innerHTML = '';
+  for (const [speaker, s] of Object.entries(stats.speakers || {})) {
+    const fillers = Object.entries(s.fillers || {}).map(([word, count]) => `${word} ×${count}`).join(', ');
+    const row = document.createElement('tr');
+    for (const value of [nameOf(speaker), s.words, wpm(s.wpm), wpm(s.rollingWpm), `${s.fillerCount} (${s.fillerRate.toFixed(1)}%)`, s.averageSentenceWords.toFixed(1)]) {
+      const cell = document.createElement('td');
+      cell.textContent = String(value);
+      row.appendChild(cell);
+    }
+    row.lastElementChild.previousElementSibling.title = fillers || 'No fillers';
+    speechStatsBody.appendChild(row);
+    if (s.topTerms && s.topTerms.length) {
+      const terms = document.createElement('div');
+      terms.textContent = `${nameOf(speaker)}: ${s.topTerms.map((t) => `${t.term} (${t.count})`).join(', ')}`;
+      speechTermsEl.appendChild(terms);
+    }
+  }
+}
+
+// Keyword watchlist: entries one per line, "/pattern/flags" for regexes
+const watchlistInput = document.getElementById('watchlist-input');
+const keywordHitsEl = document.getElementById('keyword-hits');
+const keywordCountEl = document.getElementById('keyword-count');
+const keywordAlertEl = document.getElementById('keyword-alert');
+let keywordAlertTimer = null;
+let keywordHitCount = 0;
+
+function watchlistToText(watchlist) {
+  return (watchlist || []).map((e) => (e.regex ? `/${e.term}/${e.caseSensitive ? '' : 'i'}${e.flags || ''}` : e.term)).join('\n');
+}
+
+// Text with watchlist matches wrapped in <mark>
+function appendHighlighted(el, text, matches) {
+  let pos = 0;
+  for (const m of matches || []) {
+    if (m.index < pos) continue; // overlapping matches: keep the first
+    el.appendChild(document.createTextNode(text.slice(pos, m.index)));
+    const mark = document.createElement('mark');
+    mark.textContent = text.slice(m.index, m.index + m.length);
+    mark.title = m.term;
+    el.appendChild(mark);
+    pos = m.index + m.length;
+  }
+  el.appendChild(document.createTextNode(text.slice(pos)));
+}
+
+function addKeywordHit(hit) {
+  if (!keywordHitCount) keywordHitsEl.innerHTML = '';
+  keywordHitCount += 1;
+  keywordCountEl.textContent = `(${keywordHitCount})`;
+  const row = document.createElement('div');
+  row.className = 'hit';
+  const term = document.createElement('span');
+  term.className = 'term';
+  term.textContent = hit.match;
+  row.append(`[${formatClock(hit.start)}] ${nameForLabel(hit.label)}: `, term, ` — ${hit.text}`);
+  keywordHitsEl.prepend(row);
+}
+
+function resetKeywordHits() {
+  keywordHitCount = 0;
+  keywordCountEl.textContent = '';
+  keywordHitsEl.innerHTML = '<span class="muted">No watchlist hits yet.</span>';
+}
+
+function showKeywordAlert(hit) {
+  keywordAlertEl.textContent = `${nameForLabel(hit.label)} said "${hit.match}" at ${formatClock(hit.start)}`;
+  keywordAlertEl.className = 'format-alert keyword visible';
+  clearTimeout(keywordAlertTimer);
+  keywordAlertTimer = setTimeout(() => { keywordAlertEl.className = 'format-alert keyword'; }, 6000);
+}
+
+// Hits arrive as replayed `keyword` events; only the list itself is fetched
+async function loadWatchlist() {
+  try {
+    const { watchlist } = await fetchJSON(sessionPath('/watchlist'));
+    watchlistInput.value = watchlistToText(watchlist);
+  } catch {}
+}
+
+document.getElementById('watchlist-save').addEventListener('click', async () => {
+  try {
+    const watchlist = watchlistInput.value.split('\n').map((line) => line.trim()).filter(Boolean);
+    await fetchJSON(sessionPath('/watchlist'), { method: 'PUT', body: JSON.stringify({ watchlist }) });
+  } catch (e) {
+    alert('Failed to save watchlist: ' + (e.message || e));
+  }
+});
+
+// Moderator corrections: reassign a final segment, merge two speakers or
+// credit time by hand. The server recomputes totals and sends every client a
+// `correction` event naming the segments to re-label.
+const correctSegmentInput = document.getElementById('correct-segment');
+const correctSpeakerSelect = document.getElementById('correct-speaker');
+const mergeFromSelect = document.getElementById('merge-from');
+const mergeIntoSelect = document.getElementById('merge-into');
+const adjustSpeakerSelect = document.getElementById('adjust-speaker');
+const adjustSecondsInput = document.getElementById('adjust-seconds');
+const correctionsLogEl = document.getElementById('corrections-log');
+const segmentLines = new Map(); // segmentId -> transcript lines, one per turn
+
+function linePrefix(start, label) {
+  return `[${new Date(start*1000).toISOString().substring(11,19)}] [${nameForLabel(label)}] `;
+}
+
+// One option per label still in use; merged speakers share their target's label
+function renderCorrectionSpeakers(labels) {
+  const unique = [...new Set(Object.values(labels || {}))].sort();
+  for (const select of [correctSpeakerSelect, mergeFromSelect, mergeIntoSelect, adjustSpeakerSelect]) {
+    const current = select.value;
+    select.innerHTML = '';
+    for (const label of unique) {
+      const opt = document.createElement('option');
+      opt.value = label;
+      opt.textContent = nameForLabel(label);
+      select.appendChild(opt);
+    }
+    if (unique.includes(current)) select.value = current;
+  }
+}
+
+function describeCorrection(c) {
+  if (c.action === 'reassign') return `segment #${c.segmentId} → ${nameForLabel(c.label)}`;
+  if (c.action === 'merge') return `merged speaker ${c.from} into ${nameForLabel(c.label)} (${c.segments} segments)`;
+  return `${c.seconds > 0 ? '+' : ''}${c.seconds}s for ${nameForLabel(c.label)}`;
+}
+
+function addCorrection(c) {
+  if (!correctionsLogEl.dataset.count) correctionsLogEl.innerHTML = '';
+  correctionsLogEl.dataset.count = String(Number(correctionsLogEl.dataset.count || 0) + 1);
+  const row = document.createElement('div');
+  row.textContent = `${new Date(c.at).toLocaleTimeString()} ${describeCorrection(c)}${c.note ? ` — ${c.note}` : ''}`;
+  correctionsLogEl.prepend(row);
+}
+
+function resetCorrections() {
+  segmentLines.clear();
+  delete correctionsLogEl.dataset.count;
+  correctionsLogEl.textContent = 'No corrections yet.';
+}
+
+// Turns keep their order and count, so lines and timeline blocks are re-labelled in place
+function applyCorrection(msg) {
+  addCorrection(msg.correction);
+  for (const { segmentId, segments } of msg.updated || []) {
+    const lines = segmentLines.get(segmentId) || [];
+    segments.forEach((part, turn) => {
+      const label = labelFor(part.speaker, part.label);
+      if (lines[turn]) lines[turn].firstChild.textContent = linePrefix(part.start, label);
+      timeline.relabel(segmentId, turn, label);
+    });
+  }
+  updateBars(msg.speakerDurations);
+}
+
+async function sendCorrection(action, body) {
+  try {
+    await fetchJSON(sessionPath(`/corrections/${action}`), { method: 'POST', body: JSON.stringify(body) });
+  } catch (e) {
+    alert('Correction failed: ' + (e.message || e));
+  }
+}
+
+// A clicked line is picked for corrections and as a one-line clip
+const liveClipRow = document.querySelector('.control-card .clip-row');
+transcriptEl.addEventListener('click', (e) => {
+  const line = e.target.closest('[data-segment]');
+  if (!line) return;
+  correctSegmentInput.value = line.dataset.segment;
+  liveClipRow.querySelector('.clip-from').value = line.dataset.segment;
+  liveClipRow.querySelector('.clip-to').value = line.dataset.segment;
+});
+
+document.getElementById('correct-reassign').addEventListener('click', () => {
+  sendCorrection('reassign', { segmentId: Number(correctSegmentInput.value), speaker: correctSpeakerSelect.value });
+});
+document.getElementById('correct-merge').addEventListener('click', () => {
+  const from = mergeFromSelect.value;
+  const into = mergeIntoSelect.value;
+  if (!confirm(`Merge ${nameForLabel(from)} into ${nameForLabel(into)}? Later speech from ${nameForLabel(from)} is credited to ${nameForLabel(into)} too.`)) return;
+  sendCorrection('merge', { from, into });
+});
+document.getElementById('correct-adjust').addEventListener('click', () => {
+  sendCorrection('adjust', { speaker: adjustSpeakerSelect.value, seconds: Number(adjustSecondsInput.value) });
+});
+
+// Speaker names are stored with the session on the server
+function applyNames(names) {
+  if (!names) return;
+  if (names.A && document.activeElement !== nameAInput) nameAInput.value = names.A;
+  if (names.B && document.activeElement !== nameBInput) nameBInput.value = names.B;
+  timeline.refresh();
+}
+
+// Speaker timeline: clicking a turn jumps to its transcript line and, for
+// videos, offers a link to that moment in the original
+const timelineDetailEl = document.getElementById('timeline-detail');
+const timeline = createTimeline(document.getElementById('timeline'), { nameFor: nameForLabel, onSelect: showTimelineBlock });
+
+function showTimelineBlock(block) {
+  timelineDetailEl.textContent = `[${formatClock(block.start)}–${formatClock(block.end)}] ${nameForLabel(block.label)}: ${block.text}`;
+  const link = lastAnalytics && lastAnalytics.vod && lastAnalytics.url ? videoLinkAt(lastAnalytics.url, block.start) : null;
+  if (link) {
+    const a = document.createElement('a');
+    a.href = link;
+    a.target = '_blank';
+    a.rel = 'noopener';
+    a.textContent = 'Open in video ↗';
+    timelineDetailEl.appendChild(a);
+  }
+  if (!block.line || !block.line.isConnected) return;
+  if (transcriptEl.style.display === 'none') toggleBtn.click();
+  block.line.scrollIntoView({ block: 'center', behavior: 'smooth' });
+  block.line.classList.add('flash');
+  setTimeout(() => block.line.classList.remove('flash'), 1500);
+}
+
+nameAInput.addEventListener('input', () => timeline.refresh());
+nameBInput.addEventListener('input', () => timeline.refresh());
+
+async function saveNames() {
+  try {
+    await fetchJSON(sessionPath('/names'), { method: 'PUT', body: JSON.stringify({ names: { A: nameAInput.value, B: nameBInput.value } }) });
+  } catch {}
+}
+
+nameAInput.addEventListener('change', saveNames);
+nameBInput.addEventListener('change', saveNames);
+
+function handleEvent(ev) {
   try {
     const msg = JSON.parse(ev.data);
     if (!msg) return;
 
+    if (msg.type === 'format') {
+      renderFormat(msg);
+      return;
+    }
+
+    if (msg.type === 'format-alert') {
+      showFormatAlert(msg);
+      return;
+    }
+
+    if (msg.type === 'names') {
+      applyNames(msg.speakerNames);
+      return;
+    }
+
+    if (msg.type === 'keyword') {
+      addKeywordHit(msg);
+      showKeywordAlert(msg);
+      return;
+    }
+
+    if (msg.type === 'watchlist') {
+      if (document.activeElement !== watchlistInput) watchlistInput.value = watchlistToText(msg.watchlist);
+      return;
+    }
+
+    if (msg.type === 'correction') {
+      applyCorrection(msg);
+      return;
+    }
+
+    if (msg.type === 'level') {
+      renderLevel(msg);
+      if (msg.silence) renderSilence(msg, lastAnalytics?.status);
+      return;
+    }
+
+    if (msg.type === 'silence') {
+      renderSilence(msg.state === 'start' ? { silence: msg.reason, silentSeconds: msg.seconds } : null, lastAnalytics?.status);
+      return;
+    }
+
+    if (msg.type === 'progress') {
+      setStatus('processing', { progress: msg });
+      if (msg.decodedSeconds != null) setIngested(msg.decodedSeconds);
+      return;
+    }
+
     if (msg.type === 'analytics') {
+      lastAnalytics = msg;
+      if (msg.sessionId && msg.sessionId !== currentSessionId) {
+        currentSessionId = msg.sessionId;
+        resetKeywordHits();
+        resetCorrections();
+        loadWatchlist();
+        speakerMap.clear();
+        transcriptEl.innerHTML = '';
+        timeline.clear();
+      }
+      applyNames(msg.speakerNames);
+      if (msg.format) renderFormat(msg.format);
+      renderTurnStats(msg.turnStats, msg.speakerLabels);
+      renderSpeechStats(msg.speechStats, msg.speakerLabels);
+      renderCorrectionSpeakers(msg.speakerLabels);
       statusState = { uptimeMs: msg.uptimeMs || 0 };
-      setStatus(msg.status);
+      setStatus(msg.status, msg);
       setPlatform(msg.platform);
       setWords(msg.wordsCount);
       setIngested(msg.ingestedSeconds);
+      transcriptionInfoEl.textContent = describeTranscription(msg.transcription);
       updateBars(msg.speakerDurations);
-      if (msg.status === 'streaming') startUptime(msg.uptimeMs);
+      liveClipRow.style.display = msg.recording ? '' : 'none';
+      deadAirEl.textContent = labelSeconds(msg.deadAirSeconds || 0);
+      renderLevel(msg.status === 'streaming' ? msg.audioLevel : null);
+      renderSilence(msg.audioLevel, msg.status);
+      setPauseButton(msg.status);
+      timeline.setPauses(msg.pauses);
+      if (msg.status === 'streaming') {
+        startUptime(msg.uptimeMs);
+      } else {
+        // Paused or finished: uptime stands still
+        clearInterval(uptimeTimer);
+        uptimeTimer = null;
+        uptimeEl.textContent = labelSeconds((msg.uptimeMs || 0) / 1000);
+      }
       return;
     }
 
     if (!msg.text) return;
-    const label = labelFor(msg.speaker);
-    const name = label === 'A' ? (nameAInput.value || 'Speaker A') : (label === 'B' ? (nameBInput.value || 'Speaker B') : `Speaker ${label}`);
-    const speakerLabel = `${name}`;
-    const p = document.createElement('div');
-    p.className = msg.type === 'partial' ? 'partial' : '';
-    p.textContent = `[${new Date(msg.start*1000).toISOString().substring(11,19)}] [${speakerLabel}] ${msg.text}`;
-    if (msg.type === 'partial') {
-      const last = transcriptEl.lastElementChild;
-      if (last && last.classList.contains('partial')) transcriptEl.removeChild(last);
-      transcriptEl.appendChild(p);
-    } else {
-      // Final: replace last partial if present, otherwise append
-      const last = transcriptEl.lastElementChild;
-      if (last && last.classList.contains('partial')) transcriptEl.removeChild(last);
-      transcriptEl.appendChild(p);
+    // Each message replaces any partial lines; split it wherever the speaker changes
+    while (transcriptEl.lastElementChild && transcriptEl.lastElementChild.classList.contains('partial')) {
+      transcriptEl.removeChild(transcriptEl.lastElementChild);
     }
+    const parts = Array.isArray(msg.segments) && msg.segments.length
+      ? msg.segments
+      : [{ speaker: msg.speaker, start: msg.start, text: msg.text }];
+    let label = null;
+    const lines = [];
+    parts.forEach((part, turn) => {
+      label = labelFor(part.speaker, part.label);
+      const p = document.createElement('div');
+      p.className = msg.type === 'partial' ? 'partial' : '';
+      p.textContent = linePrefix(part.start, label);
+      appendHighlighted(p, part.text, part.matches);
+      transcriptEl.appendChild(p);
+      if (msg.type !== 'final') return;
+      if (msg.segmentId) p.dataset.segment = msg.segmentId;
+      lines.push(p);
+      timeline.add({ label, start: part.start, end: part.end ?? msg.end, text: part.text, line: p, segmentId: msg.segmentId, turn });
+    });
+    if (msg.segmentId) segmentLines.set(msg.segmentId, lines);
     transcriptEl.scrollTop = transcriptEl.scrollHeight;
 
     // Highlight active speaker card
@@ -221,7 +996,14 @@ es.onmessage = (ev) => {
 
     updateBars(msg.speakerDurations);
   } catch {}
-};
+}
+
+let es = null;
+function connectEvents() {
+  if (es) es.close();
+  es = new EventSource(sessionPath('/events'));
+  es.onmessage = handleEvent;
+}
 
 // Toggle transcript visibility
 toggleBtn.addEventListener('click', () => {
@@ -230,5 +1012,241 @@ toggleBtn.addEventListener('click', () => {
   toggleBtn.textContent = hidden ? 'Hide transcript' : 'Show transcript';
 });
 
+// Transcript downloads; buttons inside the history view export that session
+const exportTotalsInput = document.getElementById('export-totals');
+for (const btn of document.querySelectorAll('.export-btn')) {
+  btn.addEventListener('click', () => {
+    const params = new URLSearchParams({ format: btn.dataset.format });
+    if (exportTotalsInput.checked) params.set('totals', '1');
+    const session = btn.closest('#history-view')?.dataset.session || activeSessionId;
+    if (session) params.set('session', session);
+    window.location.href = `/export?${params}`;
+  });
+}
+
+// Clips of the audio recording; rows inside the history view cut that
+// session. A sidecar SRT downloads next to the audio.
+function download(url) {
+  const a = document.createElement('a');
+  a.href = url;
+  a.download = '';
+  document.body.appendChild(a);
+  a.click();
+  a.remove();
+}
+
+for (const row of document.querySelectorAll('.clip-row')) {
+  const sessionFor = () => row.closest('#history-view')?.dataset.session || lastAnalytics?.sessionId;
+  row.querySelector('.clip-btn').addEventListener('click', () => {
+    const from = row.querySelector('.clip-from').value;
+    const to = row.querySelector('.clip-to').value || from;
+    if (!from) return alert('Pick the first segment # of the clip');
+    const subtitles = row.querySelector('.clip-subtitles').value;
+    const base = `/sessions/${encodeURIComponent(sessionFor())}/clip`;
+    const params = new URLSearchParams({ from, to });
+    download(`${base}?${params}${subtitles === 'burn' ? '&subtitles=burn' : ''}`);
+    if (subtitles === 'sidecar') setTimeout(() => download(`${base}/subtitles?${params}&format=srt`), 500);
+  });
+  row.querySelector('.recording-btn').addEventListener('click', () => {
+    download(`/sessions/${encodeURIComponent(sessionFor())}/recording`);
+  });
+}
+
+// Session history (read-only)
+const historyEl = document.getElementById('history');
+const historyListEl = document.getElementById('history-list');
+const historyViewEl = document.getElementById('history-view');
+const toggleHistoryBtn = document.getElementById('toggle-history');
+
+function formatDate(iso) {
+  return iso ? new Date(iso).toLocaleString() : '-';
+}
+
+function historySpeakerName(record, speaker) {
+  const label = (record.speakerLabels || {})[speaker];
+  return (label && (record.speakerNames || {})[label]) || (label ? `Speaker ${label}` : `Speaker ${speaker}`);
+}
+
+async function loadHistory() {
+  try {
+    const { sessions } = await fetchJSON('/sessions');
+    historyListEl.innerHTML = '';
+    if (!sessions.length) {
+      historyListEl.textContent = 'No sessions recorded yet.';
+      return;
+    }
+    for (const session of sessions) {
+      const item = document.createElement('div');
+      item.className = 'history-item';
+      const meta = document.createElement('div');
+      meta.className = 'meta';
+      const names = Object.values(session.speakerNames || {}).join(' vs ');
+      const total = Object.values(session.speakerDurations || {}).reduce((sum, sec) => sum + sec, 0);
+      meta.textContent = `${formatDate(session.createdAt)} · ${session.platform || session.mode || '-'} · ${names} · ${labelSeconds(total)} · ${session.segmentCount} lines`;
+      const actions = document.createElement('div');
+      actions.className = 'actions';
+      const openBtn = document.createElement('button');
+      openBtn.textContent = 'Open';
+      openBtn.addEventListener('click', () => openHistorySession(session.id));
+      const deleteBtn = document.createElement('button');
+      deleteBtn.className = 'danger admin-only';
+      deleteBtn.textContent = 'Delete';
+      deleteBtn.addEventListener('click', async () => {
+        if (!confirm('Delete this session permanently?')) return;
+        try {
+          await fetchJSON(`/sessions/${encodeURIComponent(session.id)}`, { method: 'DELETE' });
+          loadHistory();
+        } catch (e) {
+          alert('Failed to delete: ' + (e.message || e));
+        }
+      });
+      actions.append(openBtn, deleteBtn);
+      item.append(meta, actions);
+      historyListEl.appendChild(item);
+    }
+  } catch (e) {
+    historyListEl.textContent = 'Failed to load sessions: ' + (e.message || e);
+  }
+}
+
+async function openHistorySession(id) {
+  try {
+    const record = await fetchJSON(`/sessions/${encodeURIComponent(id)}`);
+    historyViewEl.dataset.session = record.id;
+    historyViewEl.querySelector('.clip-row').style.display = record.recording ? '' : 'none';
+    document.getElementById('history-title').textContent = `Session ${record.id}`;
+    document.getElementById('history-meta').textContent = `${formatDate(record.createdAt)} → ${formatDate(record.endedAt)} · ${record.url || record.device || record.mode || ''}`;
+
+    const speakersEl = document.getElementById('history-speakers');
+    speakersEl.innerHTML = '';
+    const durations = record.speakerDurations || {};
+    const total = Object.values(durations).reduce((sum, sec) => sum + sec, 0);
+    for (const [speaker, sec] of Object.entries(durations).sort((a, b) => b[1] - a[1])) {
+      const el = document.createElement('span');
+      el.className = 'bubble';
+      el.textContent = `${historySpeakerName(record, speaker)}: ${labelSeconds(sec)} (${total ? ((sec / total) * 100).toFixed(0) : 0}%)`;
+      speakersEl.appendChild(el);
+    }
+    if (record.deadAirSeconds) {
+      const el = document.createElement('span');
+      el.className = 'bubble muted';
+      el.textContent = `Dead air: ${labelSeconds(record.deadAirSeconds)}`;
+      speakersEl.appendChild(el);
+    }
+
+    const transcriptView = document.getElementById('history-transcript');
+    transcriptView.innerHTML = '';
+    for (const entry of record.transcript || []) {
+      for (const turn of entry.turns || []) {
+        const line = document.createElement('div');
+        line.textContent = `[${new Date(turn.start*1000).toISOString().substring(11,19)}] [${historySpeakerName(record, turn.speaker)}] ${turn.text}`;
+        if (record.recording) line.dataset.segment = entry.id;
+        transcriptView.appendChild(line);
+      }
+    }
+    historyViewEl.style.display = 'block';
+  } catch (e) {
+    alert('Failed to open session: ' + (e.message || e));
+  }
+}
+
+toggleHistoryBtn.addEventListener('click', () => {
+  const hidden = historyEl.style.display === 'none';
+  historyEl.style.display = hidden ? 'block' : 'none';
+  if (hidden) loadHistory();
+});
+document.getElementById('refresh-history').addEventListener('click', loadHistory);
+document.getElementById('history-transcript').addEventListener('click', (e) => {
+  const line = e.target.closest('[data-segment]');
+  if (!line) return;
+  historyViewEl.querySelector('.clip-from').value = line.dataset.segment;
+  historyViewEl.querySelector('.clip-to').value = line.dataset.segment;
+});
+document.getElementById('close-history-view').addEventListener('click', () => {
+  historyViewEl.style.display = 'none';
+});
+
+// Session switcher
+const sessionSelect = document.getElementById('session-select');
+
+async function refreshSessions() {
+  try {
+    const { sessions } = await fetchJSON('/sessions?live=1');
+    sessionSelect.innerHTML = '<option value="">Main session</option>';
+    for (const session of sessions) {
+      if (session.primary) continue;
+      const opt = document.createElement('option');
+      opt.value = session.id;
+      opt.textContent = `${session.platform || 'New'} · ${session.status} · ${session.id}`;
+      sessionSelect.appendChild(opt);
+    }
+    sessionSelect.value = activeSessionId;
+    // The selected session may have been deleted
+    if (sessionSelect.value !== activeSessionId) selectSession('');
+  } catch {}
+}
+
+function selectSession(id) {
+  activeSessionId = id;
+  sessionSelect.value = id;
+  currentSessionId = null;
+  lastAnalytics = null;
+  speakerMap.clear();
+  transcriptEl.innerHTML = '';
+  timeline.clear();
+  connectEvents();
+}
+
+sessionSelect.addEventListener('focus', refreshSessions);
+sessionSelect.addEventListener('change', () => selectSession(sessionSelect.value));
+document.getElementById('new-session-btn').addEventListener('click', async () => {
+  try {
+    const speakerNames = { A: nameAInput.value, B: nameBInput.value };
+    const { id } = await fetchJSON('/sessions', { method: 'POST', body: JSON.stringify({ speakerNames }) });
+    await refreshSessions();
+    selectSession(id);
+  } catch (e) {
+    alert('Failed to create session: ' + (e.message || e));
+  }
+});
+
+connectEvents();
+refreshSessions();
+
+// Viewers (logged out while auth is enabled) only see the read-only parts
+const loginCard = document.getElementById('login-card');
+const loginPassword = document.getElementById('login-password');
+const logoutBtn = document.getElementById('logout-btn');
+
+(async () => {
+  try {
+    const me = await fetchJSON('/me');
+    const viewer = me.authEnabled && !me.admin;
+    document.body.classList.toggle('viewer', viewer);
+    loginCard.style.display = viewer ? 'block' : 'none';
+    logoutBtn.style.display = me.authEnabled && me.admin ? '' : 'none';
+    nameAInput.readOnly = viewer;
+    nameBInput.readOnly = viewer;
+  } catch {}
+})();
+
+async function login() {
+  try {
+    await fetchJSON('/login', { method: 'POST', body: JSON.stringify({ password: loginPassword.value }) });
+    window.location.reload();
+  } catch (e) {
+    alert('Login failed: ' + (e.message || e));
+  }
+}
+
+document.getElementById('login-btn').addEventListener('click', login);
+loginPassword.addEventListener('keydown', (e) => { if (e.key === 'Enter') login(); });
+logoutBtn.addEventListener('click', async () => {
+  try {
+    await fetchJSON('/logout', { method: 'POST' });
+  } catch {}
+  window.location.reload();
+});
+
 // Default mode
 setMode('live');
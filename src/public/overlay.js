@@ -0,0 +1,103 @@
+// Browser-source overlay. Query parameters:
+//   orientation=horizontal|vertical  layout=full|bar|timers  captions=1
+//   colorA, colorB, text, bg (hex without #, or any CSS color)  fontSize (px)
+//   nameA, nameB (override the names set in the control panel)
+//   session (follow a specific session instead of the main one)
+const params = new URLSearchParams(window.location.search);
+const overlayEl = document.getElementById('overlay');
+const captionEl = document.getElementById('caption');
+const vertical = params.get('orientation') === 'vertical';
+
+function cssColor(value) {
+  if (!value) return null;
+  return /^[0-9a-f]{3,8}$/i.test(value) ? `#${value}` : value;
+}
+
+(function applyParams() {
+  const root = document.documentElement.style;
+  const colors = { '--color-a': params.get('colorA'), '--color-b': params.get('colorB'), '--text': params.get('text'), '--bg': params.get('bg') };
+  for (const [name, value] of Object.entries(colors)) {
+    if (cssColor(value)) root.setProperty(name, cssColor(value));
+  }
+  const fontSize = Number(params.get('fontSize'));
+  if (fontSize > 0) root.setProperty('--font-size', `${fontSize}px`);
+  if (vertical) overlayEl.classList.add('vertical');
+  const layout = params.get('layout');
+  if (layout === 'bar' || layout === 'timers') overlayEl.classList.add(`layout-${layout}`);
+  if (['1', 'true', 'yes'].includes(params.get('captions'))) overlayEl.classList.add('show-caption');
+})();
+
+const els = {
+  A: { name: document.getElementById('name-a'), time: document.getElementById('time-a'), pct: document.getElementById('pct-a'), bar: document.getElementById('bar-a') },
+  B: { name: document.getElementById('name-b'), time: document.getElementById('time-b'), pct: document.getElementById('pct-b'), bar: document.getElementById('bar-b') },
+};
+
+let speakerLabels = {};
+let speakerNames = {};
+
+function clock(sec) {
+  const s = Math.round(sec || 0);
+  const m = Math.floor(s / 60);
+  return `${m}:${String(s % 60).padStart(2, '0')}`;
+}
+
+function renderNames() {
+  for (const label of ['A', 'B']) {
+    els[label].name.textContent = params.get(`name${label}`) || speakerNames[label] || `Speaker ${label}`;
+  }
+}
+
+function renderDurations(durations) {
+  const byLabel = { A: 0, B: 0 };
+  for (const [speaker, seconds] of Object.entries(durations || {})) {
+    const label = speakerLabels[speaker];
+    if (label in byLabel) byLabel[label] = seconds;
+  }
+  const sum = byLabel.A + byLabel.B;
+  for (const label of ['A', 'B']) {
+    const pct = sum ? (byLabel[label] / sum) * 100 : 50;
+    els[label].time.textContent = clock(byLabel[label]);
+    els[label].pct.textContent = `${pct.toFixed(0)}%`;
+    els[label].bar.style[vertical ? 'height' : 'width'] = `${pct}%`;
+  }
+}
+
+function setActive(label) {
+  for (const el of document.querySelectorAll('.speaker')) {
+    el.classList.toggle('active', el.dataset.label === label);
+  }
+}
+
+function connect() {
+  const session = params.get('session');
+  const es = new EventSource(session ? `/sessions/${encodeURIComponent(session)}/events` : '/events');
+  es.onmessage = (ev) => {
+    try {
+      const msg = JSON.parse(ev.data);
+      if (!msg) return;
+      if (msg.type === 'analytics') {
+        speakerLabels = msg.speakerLabels || {};
+        speakerNames = msg.speakerNames || {};
+        renderNames();
+        renderDurations(msg.speakerDurations);
+        if (msg.status === 'idle') setActive(null);
+        return;
+      }
+      if (msg.type === 'names') {
+        speakerNames = msg.speakerNames || {};
+        renderNames();
+        return;
+      }
+      if (msg.type !== 'partial' && msg.type !== 'final') return;
+      const parts = Array.isArray(msg.segments) && msg.segments.length ? msg.segments : [{ speaker: msg.speaker, text: msg.text }];
+      const last = parts[parts.length - 1];
+      if (last.label) speakerLabels[last.speaker] = last.label;
+      setActive(speakerLabels[last.speaker]);
+      captionEl.textContent = last.text || '';
+      renderDurations(msg.speakerDurations);
+    } catch {}
+  };
+}
+
+renderNames();
+connect();
@@ -0,0 +1,201 @@
+// Horizontal timeline of speaker turns, one lane per speaker label, built from
+// final segments as they arrive. Zoom with the buttons or Ctrl/⌘ + wheel;
+// while scrolled to the end it follows new turns.
+//   createTimeline(rootEl, { nameFor(label), onSelect(block) })
+//   .add({ label, start, end, text, line, segmentId })  .relabel(segmentId, turn, label)
+//   .setPauses([{ start, end }])  .clear()  .refresh()
+function createTimeline(root, { nameFor, onSelect }) {
+  const MIN_PPS = 0.05; // pixels per second
+  const MAX_PPS = 80;
+  const LANE_HEIGHT = 22;
+  const laneColors = { A: '#60a5fa', B: '#f87171', C: '#34d399', D: '#fbbf24', E: '#c084fc' };
+
+  const scroller = root.querySelector('.timeline-scroll');
+  const track = root.querySelector('.timeline-track');
+  const axis = root.querySelector('.timeline-axis');
+  const emptyEl = root.querySelector('.timeline-empty');
+
+  let blocks = []; // { label, start, end, text, line, segmentId, turn, el }
+  let lanes = []; // labels in order of first appearance
+  let pauses = []; // { start, end, el }; end is null while still paused
+  let pps = 4;
+  let fitted = true; // keep the whole debate in view until the user zooms
+  let layoutPending = false;
+
+  function colorFor(label) {
+    return laneColors[label] || '#9aa4d4';
+  }
+
+  function duration() {
+    const end = blocks.reduce((max, b) => Math.max(max, b.end), 0);
+    return pauses.reduce((max, p) => Math.max(max, p.end ?? p.start), end);
+  }
+
+  function fitScale() {
+    const d = duration();
+    return d > 0 ? Math.min(MAX_PPS, Math.max(MIN_PPS, (scroller.clientWidth - 8) / d)) : pps;
+  }
+
+  function tickStep() {
+    // Aim for a label every ~80px
+    const steps = [1, 2, 5, 10, 15, 30, 60, 120, 300, 600, 900, 1800, 3600];
+    return steps.find((s) => s * pps >= 80) || 7200;
+  }
+
+  function clock(sec) {
+    const s = Math.floor(sec);
+    const h = Math.floor(s / 3600);
+    const m = Math.floor((s % 3600) / 60);
+    const r = String(s % 60).padStart(2, '0');
+    return h > 0 ? `${h}:${String(m).padStart(2, '0')}:${r}` : `${m}:${r}`;
+  }
+
+  function titleFor(block) {
+    return `[${clock(block.start)}] ${nameFor(block.label)}: ${block.text}`;
+  }
+
+  function place(block) {
+    const lane = lanes.indexOf(block.label);
+    block.el.style.left = `${block.start * pps}px`;
+    block.el.style.width = `${Math.max(2, (block.end - block.start) * pps)}px`;
+    block.el.style.top = `${lane * LANE_HEIGHT}px`;
+  }
+
+  function renderAxis(width) {
+    axis.innerHTML = '';
+    const step = tickStep();
+    for (let t = 0; t * pps <= width; t += step) {
+      const tick = document.createElement('span');
+      tick.className = 'tick';
+      tick.style.left = `${t * pps}px`;
+      tick.textContent = clock(t);
+      axis.appendChild(tick);
+    }
+  }
+
+  function layout() {
+    const atEnd = scroller.scrollLeft + scroller.clientWidth >= scroller.scrollWidth - 4;
+    if (fitted) pps = fitScale();
+    const width = Math.max(scroller.clientWidth, duration() * pps + 40);
+    track.style.width = `${width}px`;
+    track.style.height = `${Math.max(1, lanes.length) * LANE_HEIGHT}px`;
+    axis.style.width = `${width}px`;
+    for (const block of blocks) place(block);
+    for (const pause of pauses) {
+      pause.el.style.left = `${pause.start * pps}px`;
+      pause.el.style.width = `${Math.max(2, ((pause.end ?? duration()) - pause.start) * pps)}px`;
+    }
+    renderAxis(width);
+    emptyEl.style.display = blocks.length ? 'none' : 'block';
+    if (atEnd) scroller.scrollLeft = scroller.scrollWidth;
+  }
+
+  // Coalesce re-layouts when many finals arrive at once
+  function scheduleLayout() {
+    if (layoutPending) return;
+    layoutPending = true;
+    requestAnimationFrame(() => {
+      layoutPending = false;
+      layout();
+    });
+  }
+
+  function add({ label, start, end, text, line, segmentId, turn }) {
+    if (!(end >= start)) return;
+    if (!lanes.includes(label)) lanes.push(label);
+    const el = document.createElement('div');
+    el.className = 'timeline-block';
+    el.style.background = colorFor(label);
+    const block = { label, start, end, text, line, segmentId, turn, el };
+    el.title = titleFor(block);
+    el.addEventListener('click', () => {
+      for (const other of track.querySelectorAll('.timeline-block.selected')) other.classList.remove('selected');
+      el.classList.add('selected');
+      onSelect(block);
+    });
+    blocks.push(block);
+    track.appendChild(el);
+    scheduleLayout();
+  }
+
+  // A moderator gave this turn to another speaker; drop lanes left empty
+  function relabel(segmentId, turn, label) {
+    const block = blocks.find((b) => b.segmentId === segmentId && b.turn === turn);
+    if (!block || block.label === label) return;
+    block.label = label;
+    block.el.style.background = colorFor(label);
+    block.el.title = titleFor(block);
+    if (!lanes.includes(label)) lanes.push(label);
+    lanes = lanes.filter((l) => blocks.some((b) => b.label === l));
+    scheduleLayout();
+  }
+
+  // Session breaks, drawn as shaded bands across every lane
+  function setPauses(list) {
+    for (const pause of pauses) pause.el.remove();
+    pauses = (list || []).map(({ start, end }) => {
+      const el = document.createElement('div');
+      el.className = 'timeline-pause';
+      el.title = end == null ? `Paused since ${clock(start)}` : `Paused ${clock(start)}–${clock(end)}`;
+      track.prepend(el);
+      return { start, end, el };
+    });
+    scheduleLayout();
+  }
+
+  function clear() {
+    blocks = [];
+    lanes = [];
+    pauses = [];
+    fitted = true;
+    track.innerHTML = '';
+    layout();
+  }
+
+  // Names changed: update hover text
+  function refresh() {
+    for (const block of blocks) block.el.title = titleFor(block);
+  }
+
+  function zoom(factor, anchorX = scroller.clientWidth / 2) {
+    const anchorTime = (scroller.scrollLeft + anchorX) / pps;
+    fitted = false;
+    pps = Math.min(MAX_PPS, Math.max(MIN_PPS, pps * factor));
+    layout();
+    scroller.scrollLeft = anchorTime * pps - anchorX;
+  }
+
+  function fit() {
+    fitted = true;
+    layout();
+  }
+
+  root.querySelector('[data-zoom="in"]').addEventListener('click', () => zoom(2));
+  root.querySelector('[data-zoom="out"]').addEventListener('click', () => zoom(0.5));
+  root.querySelector('[data-zoom="fit"]').addEventListener('click', fit);
+  scroller.addEventListener('wheel', (e) => {
+    if (!e.ctrlKey && !e.metaKey) return;
+    e.preventDefault();
+    zoom(e.deltaY < 0 ? 1.25 : 0.8, e.clientX - scroller.getBoundingClientRect().left);
+  }, { passive: false });
+  window.addEventListener('resize', () => { if (fitted) layout(); });
+
+  layout();
+  return { add, relabel, setPauses, clear, refresh };
+}
+
+// Link to a moment in the original video, for platforms that support it
+function videoLinkAt(url, seconds) {
+  try {
+    const link = new URL(url);
+    const s = Math.max(0, Math.floor(seconds));
+    if (/twitch\.tv$/.test(link.hostname)) {
+      link.searchParams.set('t', `${Math.floor(s / 3600)}h${Math.floor((s % 3600) / 60)}m${s % 60}s`);
+    } else {
+      link.searchParams.set('t', `${s}${/youtube\.com$|youtu\.be$/.test(link.hostname) ? 's' : ''}`);
+    }
+    return link.toString();
+  } catch {
+    return null;
+  }
+}
@@ -0,0 +1,163 @@
+'use strict';
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { startFfmpegEncoder, runCommand } = require('./media');
+const { renderTranscript } = require('./export');
+const { log } = require('./log');
+
+const BYTES_PER_SECOND = 32000; // 16kHz mono s16le
+
+const RECORDING_FORMATS = {
+  opus: { ext: 'ogg', codec: ['-c:a', 'libopus', '-b:a', '32k'] },
+  mp3: { ext: 'mp3', codec: ['-c:a', 'libmp3lame', '-b:a', '64k'] },
+};
+
+// "opus", "mp3", true (= opus) or off ("", false, "off", "none") -> format or null
+function validateRecordingFormat(value) {
+  if (value === undefined || value === null || value === false || value === '') return null;
+  if (value === true) return 'opus';
+  const format = String(value).trim().toLowerCase();
+  if (['off', 'none', 'false', '0'].includes(format)) return null;
+  if (!RECORDING_FORMATS[format]) throw new Error(`Unknown recording format "${value}". Use one of: ${Object.keys(RECORDING_FORMATS).join(', ')}`);
+  return format;
+}
+
+// Compresses the PCM a session ingests into `file` as it arrives. `close()`
+// flushes the encoder and resolves to whether the file was written cleanly.
+function createRecorder({ file, format }) {
+  const ff = startFfmpegEncoder(file, RECORDING_FORMATS[format].codec);
+  let bytes = 0;
+  let ending = false;
+  let stderr = '';
+  ff.stderr.on('data', (d) => (stderr = (stderr + d.toString()).slice(-2000)));
+  ff.stdin.on('error', () => {}); // the encoder died; reported on close
+  ff.on('error', (err) => log.error(`Audio recording failed: ${err.message}`, { file }));
+  const closed = new Promise((resolve) => {
+    ff.on('close', (code) => {
+      if (code !== 0) log.error(`Audio recording ${path.basename(file)} failed: ${stderr.trim() || `ffmpeg exited with code ${code}`}`, { file, code });
+      resolve(code === 0);
+    });
+  });
+
+  function write(chunk) {
+    if (ending || !ff.stdin.writable) return;
+    bytes += chunk.length;
+    ff.stdin.write(chunk);
+  }
+
+  function close() {
+    if (!ending) {
+      ending = true;
+      ff.stdin.end();
+    }
+    return closed;
+  }
+
+  return { file, format, write, close, seconds: () => bytes / BYTES_PER_SECOND };
+}
+
+// Where time `t` on the transcript's timeline is in the recording. Each
+// stretch of audio (the first connection, then every reconnect or resume)
+// starts at `start` on the timeline and `offset` seconds into the file;
+// gaps between stretches aren't in the file.
+function recordingOffset(recording, t) {
+  const segments = recording.segments || [];
+  let segment = segments[0] || { start: 0, offset: 0 };
+  for (const s of segments) {
+    if (s.start <= t) segment = s;
+  }
+  const next = segments[segments.indexOf(segment) + 1];
+  const offset = segment.offset + Math.max(0, t - segment.start);
+  return Math.min(offset, next ? next.offset : recording.seconds || offset);
+}
+
+// The clip's transcript: turns overlapping the range, timed from the start
+// of the clip, for subtitles
+function clipRecord(record, range) {
+  const transcript = [];
+  for (const entry of record.transcript || []) {
+    const turns = (entry.turns || [])
+      .filter((turn) => turn.end > range.start && turn.start < range.end)
+      .map((turn) => ({
+        ...turn,
+        start: Math.max(0, recordingOffset(record.recording, turn.start) - range.offset),
+        end: Math.min(range.duration, recordingOffset(record.recording, turn.end) - range.offset),
+      }))
+      .filter((turn) => turn.end > turn.start);
+    if (turns.length) transcript.push({ ...entry, turns });
+  }
+  return { ...record, transcript };
+}
+
+// `{ start, end }` seconds on the transcript's timeline, or `{ from, to }`
+// final segment ids, to a range in the recording
+function resolveClipRange(record, { start, end, from, to }, maxSeconds) {
+  if (!record.recording) throw new Error('This session has no audio recording');
+  let range;
+  if (from !== undefined && from !== null && from !== '') {
+    const first = (record.transcript || []).find((e) => e.id === Number(from));
+    const lastId = to === undefined || to === null || to === '' ? from : to;
+    const last = (record.transcript || []).find((e) => e.id === Number(lastId));
+    if (!first || !last) throw new Error(`No final segment ${first ? lastId : from}`);
+    range = { start: first.start, end: last.end };
+  } else {
+    range = { start: Number(start), end: Number(end) };
+  }
+  if (!Number.isFinite(range.start) || !Number.isFinite(range.end) || range.end <= range.start) {
+    throw new Error('Pick a clip with start before end, or from/to segment ids');
+  }
+  const offset = recordingOffset(record.recording, range.start);
+  const duration = recordingOffset(record.recording, range.end) - offset;
+  if (duration <= 0) throw new Error('That range is not in the recording');
+  if (duration > maxSeconds) throw new Error(`Clips can be at most ${maxSeconds} seconds`);
+  return { ...range, offset, duration };
+}
+
+function clipSubtitles(record, range, format) {
+  return renderTranscript(clipRecord(record, range), format, {});
+}
+
+// Cut the range out of the recording with ffmpeg into a temp dir: audio in
+// the recording's own format, or with `burn` a video with the subtitles
+// drawn on a black background. Call `cleanup()` once the file is sent.
+async function exportClip(record, audioFile, range, { burn = false } = {}) {
+  const format = RECORDING_FORMATS[record.recording.format];
+  const dir = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'debate-clip-'));
+  const cleanup = () => fs.promises.rm(dir, { recursive: true, force: true }).catch(() => {});
+  const ext = burn ? 'mp4' : format.ext;
+  const output = path.join(dir, `clip.${ext}`);
+  const input = ['-ss', range.offset.toFixed(3), '-t', range.duration.toFixed(3), '-i', audioFile];
+  let args;
+  if (burn) {
+    const subtitles = path.join(dir, 'clip.srt');
+    await fs.promises.writeFile(subtitles, clipSubtitles(record, range, 'srt'));
+    args = [
+      '-f', 'lavfi', '-i', 'color=c=black:s=1280x720:r=25',
+      ...input,
+      '-vf', `subtitles=filename='${subtitles}':force_style='FontSize=24'`,
+      '-map', '0:v', '-map', '1:a', '-shortest',
+      '-c:v', 'libx264', '-preset', 'veryfast', '-tune', 'stillimage', '-pix_fmt', 'yuv420p',
+      '-c:a', 'aac', '-b:a', '96k', '-movflags', '+faststart',
+    ];
+  } else {
+    args = [...input, ...format.codec];
+  }
+  try {
+    await runCommand('ffmpeg', ['-hide_banner', '-loglevel', 'error', ...args, '-y', output]);
+  } catch (err) {
+    await cleanup();
+    throw err;
+  }
+  return { file: output, ext, cleanup };
+}
+
+module.exports = {
+  RECORDING_FORMATS,
+  validateRecordingFormat,
+  createRecorder,
+  resolveClipRange,
+  clipSubtitles,
+  exportClip,
+};
@@ -0,0 +1,980 @@
+'use strict';
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const crypto = require('crypto');
+const readline = require('readline');
+const { resolveMediaUrl, fetchVodInfo, startFfmpegPcmStream, startFfmpegMicStream, probeDurationSeconds, detectPlatformFromUrl } = require('./media');
+const { splitSpeakerTurns, creditTurns } = require('./speakers');
+const { newSessionId } = require('./store');
+const { createFormatEngine } = require('./formats');
+const { computeTurnStats } = require('./interruptions');
+const { createSpeechTally } = require('./speech');
+const { validateWatchlist, compileWatchlist, findMatches } = require('./watchlist');
+const { validateTranscriptionOptions } = require('./transcription');
+const { createLevelMeter } = require('./levels');
+const { RECORDING_FORMATS, validateRecordingFormat, createRecorder } = require('./recording');
+const { log } = require('./log');
+
+function formatTimestamp(seconds) {
+  const date = new Date(seconds * 1000);
+  const hh = String(date.getUTCHours()).padStart(2, '0');
+  const mm = String(date.getUTCMinutes()).padStart(2, '0');
+  const ss = String(date.getUTCSeconds()).padStart(2, '0');
+  return `${hh}:${mm}:${ss}`;
+}
+
+// Events replayed to clients that connect mid-session, so they see the whole
+// transcript; everything else is covered by the analytics snapshot
+const REPLAYED_EVENTS = new Set(['final', 'keyword', 'correction']);
+const DEFAULT_HISTORY_LIMIT = 10000;
+const LEVEL_INTERVAL_MS = 250; // how often live audio levels are broadcast
+const INGEST_BATCH = 200; // uploaded finals handled between event-loop yields
+
+const NOOP_METRICS = { audio() {}, latency() {}, ffmpegRestart() {}, providerError() {} };
+
+const DEFAULT_RECONNECT = {
+  maxAttempts: 10,
+  baseDelayMs: 1000,
+  maxDelayMs: 30000,
+  stableMs: 60000, // connected this long = healthy again
+};
+
+// One debate being transcribed: its own transcription stream, ffmpeg
+// process, speaker timing, format engine and SSE clients. A session is
+// started once; starting again means creating a new session.
+// `onEvent(session, obj)` sees every broadcast, e.g. to fan out to clients
+// that follow whichever session is primary; `metrics` gets audio, latency
+// and error counts (see metrics.js); `levels` tunes silence detection (see
+// levels.js); `record` is the default audio recording format, if any;
+// `echo` prints finals and the live partial line to the console.
+function createSession({ provider, store, id = newSessionId(), speakerNames, format, reconnect: reconnectOptions, speechStats: speechOptions, levels: levelOptions, record: defaultRecord = null, echo = true, watchlist = [], historyLimit = DEFAULT_HISTORY_LIMIT, metrics = NOOP_METRICS, onEvent = () => {} }) {
+  const clients = new Set();
+  const reconnect = { ...DEFAULT_RECONNECT, ...reconnectOptions };
+  let reconnectTimer = null;
+  const speechTally = createSpeechTally(speechOptions);
+  const state = {
+    connection: null,
+    ff: null,
+    source: null, // { mic, url, device, vod }
+    started: false,
+    opened: false,
+    closed: false,
+    finishing: false,
+    generation: 0,
+    reconnecting: false,
+    failures: 0,
+    connectedAt: null,
+    timeOffset: 0,
+    createdAt: new Date().toISOString(),
+    endedAt: null,
+    error: null,
+    mode: null, // 'mic' | 'url' | 'file'
+    url: null,
+    fileName: null,
+    range: null, // { start, end, chapter } of a VOD
+    transcription: validateTranscriptionOptions(), // { language, model, endpointing, keywords, fillerWords }
+    progress: null, // { stage, percent, decodedSeconds, durationSeconds } while a file is processed
+    device: null,
+    platform: null,
+    speakerDurations: new Map(),
+    speakerLabels: new Map(),
+    speakerNames: { A: 'Speaker A', B: 'Speaker B', ...speakerNames },
+    transcript: [],
+    turnStats: computeTurnStats([]),
+    speechStats: speechTally.snapshot(),
+    watchlist: validateWatchlist(watchlist),
+    keywordHits: [],
+    speakerAliases: new Map(), // merged speaker -> speaker it was merged into
+    adjustments: new Map(), // speaker -> seconds added (or removed) by moderators
+    corrections: [], // audit log
+    paused: null, // { start, startedAt, startMs, formatRunning } while paused
+    pauses: [], // { start, end, startedAt, endedAt }; start/end on the debate timeline
+    pausedMs: 0, // finished pauses, left out of uptime
+    lastPartialSpeaker: null,
+    lastPartialStart: null,
+    startTimeMs: null,
+    bytesSent: 0,
+    connectionBytes: 0, // sent on the current connection, to measure latency
+    lastAudioMs: null,
+    ffmpegStarts: 0,
+    lastLevelMs: 0,
+    recording: null, // { format, file, segments: [{ start, offset }], seconds, error }
+    wordsCount: 0,
+  };
+  let recorder = null;
+  const session = { id, clients };
+
+  // Every event gets an SSE id "<session id>:<seq>" so a reconnecting client
+  // (Last-Event-ID) resumes right after the last event it saw
+  let seq = 0;
+  const history = []; // { seq, payload } of REPLAYED_EVENTS
+  let lastPartial = null; // the partial still being spoken, if any
+
+  function broadcast(obj) {
+    seq += 1;
+    const payload = `id: ${id}:${seq}\ndata: ${JSON.stringify(obj)}\n\n`;
+    if (REPLAYED_EVENTS.has(obj.type)) {
+      history.push({ seq, payload });
+      if (history.length > historyLimit) history.shift();
+    }
+    if (obj.type === 'partial') lastPartial = { seq, payload };
+    else if (obj.type === 'final') lastPartial = null;
+    for (const client of clients) client.write(payload);
+    onEvent(session, obj, payload);
+  }
+
+  // Catch a client up: the current snapshot first (it tells the UI which
+  // session this is), then the transcript events after `lastEventId`, or
+  // all of them for a fresh connection or one from another session
+  function replayTo(res, lastEventId) {
+    res.write(`data: ${JSON.stringify(analyticsSnapshot())}\n\n`);
+    const [sessionId, lastSeq] = String(lastEventId || '').split(':');
+    const after = sessionId === id ? Number(lastSeq) || 0 : 0;
+    for (const event of history) {
+      if (event.seq > after) res.write(event.payload);
+    }
+    if (lastPartial && lastPartial.seq > after) res.write(lastPartial.payload);
+  }
+
+  // Silence alerts only make sense for live audio; uploads just get the
+  // dead-air total
+  const levels = createLevelMeter(levelOptions, (event) => {
+    if (state.mode === 'file') return;
+    if (event.state === 'start') log.warn(`No audio for ${Math.round(event.seconds)}s (source ${event.reason}).`, { sessionId: id, reason: event.reason });
+    else log.info(`Audio is back after ${Math.round(event.seconds)}s of silence.`, { sessionId: id, reason: event.reason });
+    broadcast({ type: 'silence', sessionId: id, ...event, at: new Date().toISOString() });
+  });
+
+  // Levels go to clients a few times a second while audio flows
+  function meterAudio(chunk) {
+    levels.write(chunk);
+    if (state.mode === 'file' || Date.now() - state.lastLevelMs < LEVEL_INTERVAL_MS) return;
+    state.lastLevelMs = Date.now();
+    broadcast({ type: 'level', sessionId: id, ...levels.snapshot() });
+  }
+
+  // Speakers are labelled A, B, C... in order of first appearance
+  // New speakers take the first free label, so a letter freed by a merge is
+  // reused rather than skipped
+  function labelForSpeaker(speaker) {
+    if (!state.speakerLabels.has(speaker)) {
+      const used = new Set(state.speakerLabels.values());
+      const slot = (idx) => (idx < 26 ? String.fromCharCode(65 + idx) : `S${idx + 1}`);
+      let idx = 0;
+      while (used.has(slot(idx))) idx += 1;
+      state.speakerLabels.set(speaker, slot(idx));
+    }
+    return state.speakerLabels.get(speaker);
+  }
+
+  function speakerSecondsByLabel() {
+    const byLabel = {};
+    for (const [speaker, seconds] of state.speakerDurations) {
+      const label = labelForSpeaker(speaker);
+      byLabel[label] = (byLabel[label] || 0) + seconds;
+    }
+    return byLabel;
+  }
+
+  const formatEngine = createFormatEngine({ getSpeakerSeconds: speakerSecondsByLabel, emit: broadcast });
+  if (format) formatEngine.load(format);
+
+  function status() {
+    if (state.progress) return 'processing';
+    if (state.paused) return 'paused';
+    if (state.reconnecting) return 'reconnecting';
+    if (state.connection) return state.opened ? 'streaming' : 'connecting';
+    return state.endedAt ? 'ended' : 'idle';
+  }
+
+  function record() {
+    return {
+      id,
+      createdAt: state.createdAt,
+      endedAt: state.endedAt,
+      error: state.error,
+      mode: state.mode,
+      url: state.url,
+      fileName: state.fileName,
+      range: state.range,
+      transcription: state.transcription,
+      device: state.device,
+      platform: state.platform,
+      provider: provider.name,
+      speakerNames: state.speakerNames,
+      speakerLabels: Object.fromEntries(state.speakerLabels),
+      speakerDurations: Object.fromEntries(state.speakerDurations),
+      wordsCount: state.wordsCount,
+      transcript: state.transcript,
+      turnStats: state.turnStats,
+      speechStats: state.speechStats,
+      watchlist: state.watchlist,
+      keywordHits: state.keywordHits,
+      pauses: state.pauses,
+      deadAirSeconds: levels.snapshot().deadAirSeconds,
+      recording: state.recording && { ...state.recording, seconds: recorder.seconds() },
+      speakerAliases: Object.fromEntries(state.speakerAliases),
+      adjustments: Object.fromEntries(state.adjustments),
+      corrections: state.corrections,
+    };
+  }
+
+  // Saves are coalesced while streaming; `immediate` flushes right away.
+  // Nothing is written until the session has been started, or once it has
+  // been disposed. Saves run one at a time so an older state can't land
+  // after a newer one.
+  let saveTimer = null;
+  let saving = Promise.resolve();
+  let disposed = false;
+  function persist(immediate = false) {
+    if (!state.started || disposed) return;
+    clearTimeout(saveTimer);
+    saveTimer = null;
+    const write = () => {
+      saving = saving
+        .then(() => (disposed ? null : store.save(record())))
+        .catch((err) => {
+          log.error(`Failed to save session: ${err.message}`, { sessionId: id });
+        });
+    };
+    if (immediate) {
+      write();
+      return;
+    }
+    saveTimer = setTimeout(() => {
+      saveTimer = null;
+      write();
+    }, 2000);
+  }
+
+  function analyticsSnapshot() {
+    const durations = Object.fromEntries(state.speakerDurations);
+    const pausedMs = state.pausedMs + (state.paused ? Date.now() - state.paused.startMs : 0);
+    const uptimeMs = state.startTimeMs ? (state.endedAt ? Date.parse(state.endedAt) : Date.now()) - state.startTimeMs - pausedMs : 0;
+    const ingestedSeconds = state.bytesSent / 32000; // 16kHz * 2 bytes
+    return {
+      type: 'analytics',
+      sessionId: id,
+      mode: state.mode,
+      platform: state.platform,
+      url: state.url,
+      fileName: state.fileName,
+      vod: !!(state.source && state.source.vod),
+      range: state.range,
+      transcription: state.transcription,
+      status: status(),
+      progress: state.progress,
+      reconnectAttempt: state.reconnecting ? state.failures : 0,
+      pausedAt: state.paused ? state.paused.startedAt : null,
+      pauses: state.paused ? [...state.pauses, { start: state.paused.start, end: null, startedAt: state.paused.startedAt, endedAt: null }] : state.pauses,
+      error: state.error,
+      createdAt: state.createdAt,
+      endedAt: state.endedAt,
+      wordsCount: state.wordsCount,
+      speakerDurations: durations,
+      deadAirSeconds: levels.snapshot().deadAirSeconds,
+      audioLevel: provider.needsAudio ? levels.snapshot() : null,
+      recording: state.recording && { format: state.recording.format, seconds: recorder.seconds(), error: state.recording.error },
+      uptimeMs,
+      ingestedSeconds,
+      speakers: Object.keys(durations).map((speaker) => ({ id: speaker, seconds: durations[speaker] })),
+      speakerLabels: Object.fromEntries(state.speakerLabels),
+      speakerNames: state.speakerNames,
+      turnStats: state.turnStats,
+      speechStats: state.speechStats,
+      keywordHitCount: state.keywordHits.length,
+      correctionCount: state.corrections.length,
+      format: formatEngine.snapshot(),
+    };
+  }
+
+  function markEnded() {
+    state.connection = null;
+    state.ff = null;
+    state.endedAt = new Date().toISOString();
+    persist(true);
+    broadcast(analyticsSnapshot());
+    return finishRecording();
+  }
+
+  // Audio is recorded only for providers that are fed audio
+  function startRecording(record) {
+    const format = record === undefined ? defaultRecord : validateRecordingFormat(record);
+    if (!format || !provider.needsAudio) return;
+    const file = store.fileFor(id, RECORDING_FORMATS[format].ext);
+    recorder = createRecorder({ file, format });
+    state.recording = { format, file: `${id}.${RECORDING_FORMATS[format].ext}`, segments: [], seconds: 0, error: null };
+  }
+
+  // Save again once the encoder has flushed, with the final length
+  let recordingDone = null;
+  function finishRecording() {
+    if (!recorder) return null;
+    if (!recordingDone) {
+      recordingDone = recorder.close().then((ok) => {
+        if (!ok) state.recording.error = 'The audio recording could not be completed';
+        persist(true);
+      });
+    }
+    return recordingDone;
+  }
+
+  async function stop() {
+    if (!state.started || state.closed) return;
+    state.closed = true;
+    state.reconnecting = false;
+    state.progress = null;
+    clearTimeout(reconnectTimer);
+    reconnectTimer = null;
+    if (state.paused) endPause();
+    try { state.connection && state.connection.finish(); } catch {}
+    // Try graceful, then escalate
+    const { ff } = state;
+    if (ff) {
+      try { ff.kill('SIGINT'); } catch {}
+      setTimeout(() => {
+        if (ff.exitCode === null && !ff.killed) {
+          try { ff.kill('SIGTERM'); } catch {}
+        }
+      }, 500);
+      setTimeout(() => {
+        if (ff.exitCode === null) {
+          try { ff.kill('SIGKILL'); } catch {}
+        }
+      }, 1500);
+    }
+    await markEnded();
+  }
+
+  let watchlistMatchers = compileWatchlist(state.watchlist);
+
+  // Watchlist hits in a final segment's turns. Each turn's entry in
+  // `segments` gets its `matches` so clients can highlight them.
+  function scanWatchlist(words, turns, segments, segmentId) {
+    const hits = [];
+    if (!watchlistMatchers.length) return hits;
+    let wordIndex = 0;
+    turns.forEach((turn, i) => {
+      const turnWords = words.slice(wordIndex, wordIndex + turn.text.split(' ').length);
+      wordIndex += turnWords.length;
+      const matches = findMatches(watchlistMatchers, turn.text);
+      if (!matches.length) return;
+      segments[i].matches = matches.map(({ term, index, length }) => ({ term, index, length }));
+      for (const m of matches) {
+        const word = turnWords[turn.text.slice(0, m.index).split(' ').length - 1];
+        hits.push({
+          id: state.keywordHits.length + hits.length + 1,
+          segmentId,
+          term: m.term,
+          match: m.match,
+          speaker: turn.speaker,
+          label: segments[i].label,
+          start: word ? word.start : turn.start,
+          text: turn.text,
+          at: new Date().toISOString(),
+        });
+      }
+    });
+    return hits;
+  }
+
+  // Whole-transcript stats, the save and the format check after finals
+  function finalsAdded() {
+    state.turnStats = computeTurnStats(state.transcript);
+    state.speechStats = speechTally.snapshot();
+    persist();
+    formatEngine.check();
+  }
+
+  // `deferStats` leaves finalsAdded() and the analytics snapshot to the
+  // caller, for ingesting many finals at once
+  function handleTranscript(segment, offset = 0, { deferStats = false } = {}) {
+    const { text } = segment;
+    if (!text) return;
+    if (!Array.isArray(segment.words) || segment.words.length === 0) return;
+    const words = segment.words.map((w) => ({
+      ...w,
+      start: w.start + offset,
+      end: w.end + offset,
+      speaker: state.speakerAliases.has(w.speaker) ? state.speakerAliases.get(w.speaker) : w.speaker,
+    }));
+    state.wordsCount += (text.match(/\S+/g) || []).length;
+    const turns = splitSpeakerTurns(words);
+    const segmentSpeaker = turns[0].speaker;
+    const segments = turns.map(({ speaker, start, end, text: turnText }) => ({ speaker, label: labelForSpeaker(speaker), start, end, text: turnText }));
+
+    if (segment.isFinal) {
+      const start = words[0]?.start || 0;
+      const end = words[words.length - 1]?.end || start;
+      creditTurns(state.speakerDurations, turns);
+      const segmentId = state.transcript.length + 1;
+      state.transcript.push({ id: segmentId, start, end, text, turns });
+      speechTally.add(turns);
+      const hits = scanWatchlist(words, turns, segments, segmentId);
+      state.keywordHits.push(...hits);
+      if (!deferStats) finalsAdded();
+
+      // Send final and instruct UI to replace partial
+      broadcast({ type: 'final', replace: true, segmentId, speaker: segmentSpeaker, text, start, end, segments, speakerDurations: Object.fromEntries(state.speakerDurations) });
+      for (const hit of hits) broadcast({ type: 'keyword', sessionId: id, ...hit });
+      if (!deferStats) broadcast(analyticsSnapshot());
+
+      for (const turn of turns) {
+        if (!echo) continue;
+        if (log.isJson()) log.info('final', { sessionId: id, segmentId, speaker: turn.speaker, label: labelForSpeaker(turn.speaker), start: turn.start, end: turn.end, text: turn.text });
+        else console.log(`[${formatTimestamp(turn.start)}] [Speaker ${turn.speaker}] ${turn.text}`);
+      }
+      state.lastPartialSpeaker = null;
+      state.lastPartialStart = null;
+    } else {
+      if (echo && !log.isJson()) {
+        readline.clearLine(process.stdout, 0);
+        readline.cursorTo(process.stdout, 0);
+        process.stdout.write(turns.map((turn) => `[Speaker ${turn.speaker}] ${turn.text}`).join(' '));
+      }
+
+      if (state.lastPartialSpeaker !== segmentSpeaker) {
+        state.lastPartialSpeaker = segmentSpeaker;
+        state.lastPartialStart = words[0]?.start ?? null;
+      }
+      const estStart = state.lastPartialStart ?? words[0]?.start ?? 0;
+      const estEnd = words[words.length - 1]?.end ?? estStart;
+      broadcast({ type: 'partial', speaker: segmentSpeaker, text, start: estStart, end: estEnd, segments, speakerDurations: Object.fromEntries(state.speakerDurations) });
+    }
+  }
+
+  // Called when the transcription connection or ffmpeg drops while the
+  // session should still be running. Retries with exponential backoff,
+  // keeping everything accumulated so far.
+  function handleDrop(reason) {
+    if (state.closed) return;
+    const { connection, ff } = state;
+    state.generation += 1; // ignore late events from the dropped attempt
+    state.connection = null;
+    state.ff = null;
+    state.opened = false;
+    try { connection && connection.finish(); } catch {}
+    try { ff && ff.kill('SIGINT'); } catch {}
+
+    // A connection that stayed up for a while starts the backoff afresh
+    if (state.connectedAt && Date.now() - state.connectedAt > reconnect.stableMs) state.failures = 0;
+    state.connectedAt = null;
+    state.failures += 1;
+    if (state.failures > reconnect.maxAttempts) {
+      log.error(`Giving up after ${reconnect.maxAttempts} reconnect attempts.`, { sessionId: id, reason });
+      state.error = `Connection lost (${reason}); gave up after ${reconnect.maxAttempts} reconnect attempts`;
+      state.closed = true;
+      state.reconnecting = false;
+      markEnded();
+      return;
+    }
+
+    state.timeOffset = timelinePosition();
+    state.reconnecting = true;
+    const delay = Math.min(reconnect.maxDelayMs, reconnect.baseDelayMs * 2 ** (state.failures - 1));
+    log.warn(`Connection lost (${reason}). Reconnecting in ${delay}ms (attempt ${state.failures})...`, { sessionId: id, reason, delayMs: delay, attempt: state.failures });
+    broadcast(analyticsSnapshot());
+    reconnectTimer = setTimeout(() => {
+      reconnectTimer = null;
+      connect().catch((err) => {
+        log.error(`Reconnect failed: ${err.message}`, { sessionId: id });
+        handleDrop(err.message);
+      });
+    }, delay);
+  }
+
+  // New word timings restart at zero on every connection; this is where they
+  // continue. A VOD resumes where ingestion stopped, a live source at
+  // wall-clock time since the start, times the provider's speed (so pauses
+  // leave a gap).
+  function timelinePosition() {
+    if (state.source.vod) return (state.range ? state.range.start : 0) + state.bytesSent / 32000;
+    return state.startTimeMs ? ((Date.now() - state.startTimeMs) / 1000) * (provider.speed || 1) : 0;
+  }
+
+  function endPause() {
+    const { paused } = state;
+    state.paused = null;
+    state.pausedMs += Date.now() - paused.startMs;
+    state.pauses.push({ start: paused.start, end: timelinePosition(), startedAt: paused.startedAt, endedAt: new Date().toISOString() });
+    return paused;
+  }
+
+  // Stop sending audio and crediting time without ending the session:
+  // ffmpeg and the transcription stream are closed, everything else is kept
+  function pause() {
+    if (!state.started || state.closed) throw new Error('Session is not running');
+    if (state.mode === 'file') throw new Error('File transcriptions cannot be paused');
+    if (state.paused) throw new Error('Session is already paused');
+    const { connection, ff } = state;
+    state.generation += 1; // ignore anything the old connection still sends
+    state.connection = null;
+    state.ff = null;
+    state.opened = false;
+    state.connectedAt = null;
+    state.reconnecting = false;
+    state.failures = 0;
+    clearTimeout(reconnectTimer);
+    reconnectTimer = null;
+    try { connection && connection.finish(); } catch {}
+    try { ff && ff.kill('SIGINT'); } catch {}
+    levels.resetRun();
+
+    const formatRunning = formatEngine.snapshot().running;
+    if (formatRunning) formatEngine.pause();
+    state.paused = { start: timelinePosition(), startedAt: new Date().toISOString(), startMs: Date.now(), formatRunning };
+    log.info('Session paused.', { sessionId: id });
+    persist(true);
+    broadcast(analyticsSnapshot());
+  }
+
+  // Reconnect into the same session; durations, transcript and uptime carry on
+  async function resume() {
+    if (!state.paused) throw new Error('Session is not paused');
+    const paused = endPause();
+    if (paused.formatRunning) formatEngine.start();
+    state.timeOffset = timelinePosition();
+    log.info('Resuming session...', { sessionId: id });
+    persist();
+    try {
+      await connect();
+    } catch (err) {
+      log.error(`Resume failed: ${err.message}`, { sessionId: id });
+      handleDrop(err.message);
+    }
+  }
+
+  // One attempt: resolve a fresh media URL, open the transcription stream
+  // and pipe ffmpeg into it. Events from superseded attempts are ignored.
+  async function connect() {
+    const generation = ++state.generation;
+    const isCurrent = () => generation === state.generation && !state.closed;
+    const { mic, url, device, vod } = state.source;
+    const offset = state.timeOffset;
+    const { range } = state;
+
+    let mediaUrl = null;
+    if (provider.needsAudio && !mic && url) {
+      log.info('Resolving stream URL...', { sessionId: id, url });
+      mediaUrl = await resolveMediaUrl(url);
+      log.info('Resolved media URL', { sessionId: id });
+    }
+    if (!isCurrent()) return;
+
+    log.info(`Connecting to ${provider.name}...`, { sessionId: id, provider: provider.name });
+    const connection = provider.createStream(state.transcription, { offset });
+    state.connection = connection;
+    state.opened = false;
+    state.connectionBytes = 0;
+    broadcast(analyticsSnapshot());
+
+    connection.on('open', () => {
+      if (!isCurrent()) return;
+      state.opened = true;
+      state.connectedAt = Date.now();
+      state.reconnecting = false;
+      if (!state.startTimeMs) state.startTimeMs = Date.now();
+      if (!provider.needsAudio) {
+        log.info(`${provider.name} stream opened.`, { sessionId: id, provider: provider.name });
+        broadcast(analyticsSnapshot());
+        return;
+      }
+      log.info(`${provider.name} stream opened. Starting ffmpeg...`, { sessionId: id, provider: provider.name });
+      if (state.ffmpegStarts++ > 0) metrics.ffmpegRestart();
+      levels.resetRun();
+      if (recorder) state.recording.segments.push({ start: offset, offset: recorder.seconds() });
+      const ff = mic ? startFfmpegMicStream(device) : startFfmpegPcmStream(mediaUrl, {
+        seekSeconds: vod ? offset : 0,
+        durationSeconds: range && range.end ? range.end - offset : 0,
+      });
+      state.ff = ff;
+
+      ff.stdout.on('data', (chunk) => {
+        if (!isCurrent()) return;
+        state.bytesSent += chunk.length;
+        state.connectionBytes += chunk.length;
+        state.lastAudioMs = Date.now();
+        metrics.audio(chunk.length);
+        meterAudio(chunk);
+        if (recorder) recorder.write(chunk);
+        try {
+          connection.send(chunk);
+        } catch (err) {
+          log.error(`Error sending audio to ${provider.name}: ${err.message}`, { sessionId: id, provider: provider.name });
+        }
+      });
+
+      if (ff.stderr) {
+        ff.stderr.on('data', () => {});
+      }
+
+      // Spawn failures are followed by 'close', which handles the drop
+      ff.on('error', (err) => {
+        log.error(`ffmpeg error: ${err.message}`, { sessionId: id });
+      });
+
+      ff.on('close', (code) => {
+        if (!isCurrent()) return;
+        // A clean exit ends only a source known to be a video; live and
+        // unknown sources (yt-dlp couldn't tell) reconnect
+        if (code === 0 && (state.source.vod || state.source.live === false)) {
+          // The video ran out; let the transcription stream flush and close
+          log.info('ffmpeg reached the end of the video. Ending transcription stream...', { sessionId: id });
+          state.finishing = true;
+          try { connection.finish(); } catch {}
+          return;
+        }
+        log.warn(`ffmpeg exited with code ${code}.`, { sessionId: id, code });
+        handleDrop(`ffmpeg exited with code ${code}`);
+      });
+
+      broadcast(analyticsSnapshot());
+    });
+
+    connection.on('transcript', (segment) => {
+      if (generation !== state.generation) return;
+      // How far the transcript trails the audio sent on this connection
+      const lastWord = segment.isFinal && provider.needsAudio && segment.words && segment.words[segment.words.length - 1];
+      if (lastWord) metrics.latency(state.connectionBytes / 32000 - lastWord.end);
+      try {
+        handleTranscript(segment, offset);
+      } catch (err) {
+        // ignore formatting issues
+      }
+    });
+
+    connection.on('error', (err) => {
+      metrics.providerError(provider.name);
+      log.error(`${provider.name} error: ${err?.message || err}`, { sessionId: id, provider: provider.name });
+    });
+
+    connection.on('close', () => {
+      if (!isCurrent()) return;
+      // Audio-less providers and finished VODs end the session; anything
+      // else closing underneath us is a drop
+      if (provider.needsAudio && !state.finishing) {
+        handleDrop(`${provider.name} connection closed`);
+        return;
+      }
+      state.closed = true;
+      log.info(`${log.isJson() ? '' : '\n'}${provider.name} connection closed.`, { sessionId: id, provider: provider.name });
+      try { state.ff && state.ff.kill('SIGINT'); } catch {}
+      markEnded();
+    });
+
+    // fail-fast timeout
+    setTimeout(() => {
+      if (isCurrent() && !state.opened && state.connection) {
+        log.error(`Timed out waiting for ${provider.name} connection.`, { sessionId: id, provider: provider.name });
+        handleDrop('timed out opening the connection');
+      }
+    }, 15000).unref();
+
+    connection.open();
+  }
+
+  // `range` ({ start, end, chapter }, seconds into the VOD) limits a video
+  // to that stretch; timestamps stay relative to the start of the video.
+  // `transcription` holds the language, model and keyword options; `record`
+  // ("opus", "mp3" or false) overrides the default audio recording.
+  async function start({ mic, url, device, vod, range, transcription, record }) {
+    if (state.started) throw new Error('Session has already been started; create a new session');
+    state.transcription = validateTranscriptionOptions(transcription);
+    startRecording(record);
+    state.started = true;
+    state.source = { mic: !!mic, url: url || null, device: device || null, vod: !!vod || !!range, live: mic ? true : null };
+    state.range = !mic && range ? { start: range.start || 0, end: range.end || null, chapter: range.chapter || null } : null;
+    state.timeOffset = state.range ? state.range.start : 0;
+    state.mode = mic ? 'mic' : 'url';
+    state.url = url || null;
+    state.device = device || null;
+    state.platform = url ? detectPlatformFromUrl(url) : (mic ? os.platform() : null);
+    persist(true);
+
+    try {
+      if (provider.needsAudio && url && !state.source.vod) await detectLive();
+      await connect();
+    } catch (err) {
+      state.error = err.message;
+      state.closed = true;
+      markEnded();
+      throw err;
+    }
+  }
+
+  // Ask yt-dlp whether the URL is live. A finished video is ingested as a
+  // VOD: a reconnect seeks back to where it left off, and ffmpeg running out
+  // ends the session instead of starting the video over.
+  async function detectLive() {
+    try {
+      const info = await fetchVodInfo(state.source.url);
+      state.source.live = info.isLive;
+      state.source.vod = !info.isLive;
+    } catch (err) {
+      log.warn(`Could not tell whether ${state.source.url} is live: ${err.message}`, { sessionId: id, url: state.source.url });
+    }
+  }
+
+  function setProgress(progress) {
+    state.progress = { ...state.progress, ...progress };
+    broadcast({ type: 'progress', sessionId: id, ...state.progress });
+  }
+
+  // Decode the whole file to PCM as fast as ffmpeg can, into `pcmFile` on
+  // disk (an hour is about 115 MB, too much to hold in memory)
+  function decodeFile(file, pcmFile, durationSeconds) {
+    return new Promise((resolve, reject) => {
+      const ff = startFfmpegPcmStream(file);
+      state.ff = ff;
+      const out = fs.createWriteStream(pcmFile);
+      const written = new Promise((done) => out.on('finish', done));
+      let lastReport = 0;
+      ff.stdout.pipe(out);
+      ff.stdout.on('data', (chunk) => {
+        state.bytesSent += chunk.length;
+        state.lastAudioMs = Date.now();
+        metrics.audio(chunk.length);
+        meterAudio(chunk);
+        if (recorder) recorder.write(chunk);
+        const decodedSeconds = state.bytesSent / 32000;
+        if (Date.now() - lastReport > 500) {
+          lastReport = Date.now();
+          const percent = durationSeconds ? Math.min(100, (decodedSeconds / durationSeconds) * 100) : null;
+          setProgress({ decodedSeconds, percent });
+        }
+      });
+      let stderr = '';
+      ff.stderr.on('data', (d) => (stderr += d.toString()));
+      ff.on('error', (err) => reject(err));
+      out.on('error', (err) => reject(new Error(`Could not write decoded audio: ${err.message}`)));
+      ff.on('close', (code) => {
+        state.ff = null;
+        if (state.closed) return reject(new Error('stopped'));
+        if (code !== 0) return reject(new Error(`ffmpeg could not decode the file: ${stderr.trim() || `exit code ${code}`}`));
+        resolve(written);
+      });
+    });
+  }
+
+  async function processFile(file) {
+    let segments;
+    if (provider.needsAudio) {
+      const durationSeconds = await probeDurationSeconds(file);
+      setProgress({ stage: 'decoding', percent: 0, decodedSeconds: 0, durationSeconds });
+      const pcmFile = path.join(os.tmpdir(), `debate-${id}-${crypto.randomBytes(3).toString('hex')}.pcm`);
+      try {
+        await decodeFile(file, pcmFile, durationSeconds);
+        if (state.closed) return;
+        setProgress({ stage: 'transcribing', percent: null });
+        segments = await provider.transcribeAudio(fs.createReadStream(pcmFile), state.transcription);
+      } finally {
+        fs.promises.unlink(pcmFile).catch(() => {});
+      }
+    } else {
+      if (state.closed) return;
+      setProgress({ stage: 'transcribing', percent: null });
+      segments = await provider.transcribeAudio(null, state.transcription);
+    }
+    if (state.closed) return;
+    setProgress({ stage: 'ingesting', percent: 0 });
+    // Feed results through the same path as live finals so speaker
+    // durations, turn stats and the transcript come out identical. Batches
+    // yield to the event loop so progress reaches clients and other sessions
+    // keep running; whole-transcript stats are computed once at the end.
+    for (let i = 0; i < segments.length && !state.closed; i += INGEST_BATCH) {
+      for (const segment of segments.slice(i, i + INGEST_BATCH)) handleTranscript({ ...segment, isFinal: true }, 0, { deferStats: true });
+      setProgress({ percent: (Math.min(i + INGEST_BATCH, segments.length) / segments.length) * 100 });
+      await new Promise((resolve) => setImmediate(resolve));
+    }
+    finalsAdded();
+    broadcast(analyticsSnapshot());
+    if (state.closed) return;
+    setProgress({ stage: 'done', percent: 100 });
+  }
+
+  // Transcribe a local audio/video file through the provider's batch path.
+  // Resolves once processing has finished, failed or been stopped.
+  async function startFile({ file, name, transcription, record }) {
+    if (state.started) throw new Error('Session has already been started; create a new session');
+    if (typeof provider.transcribeAudio !== 'function') throw new Error(`The ${provider.name} provider cannot transcribe files`);
+    state.transcription = validateTranscriptionOptions(transcription);
+    startRecording(record);
+    if (recorder) state.recording.segments.push({ start: 0, offset: 0 });
+    state.started = true;
+    state.mode = 'file';
+    state.fileName = name || null;
+    state.platform = 'file';
+    state.startTimeMs = Date.now();
+    state.progress = { stage: 'queued', percent: 0 };
+    persist(true);
+    broadcast(analyticsSnapshot());
+
+    try {
+      await processFile(file);
+    } catch (err) {
+      if (!state.closed) {
+        log.error(`File transcription failed: ${err.message}`, { sessionId: id });
+        state.error = err.message;
+      }
+    }
+    state.progress = null;
+    if (state.closed) return;
+    state.closed = true;
+    markEnded();
+  }
+
+  function setNames(names) {
+    for (const [label, name] of Object.entries(names)) {
+      if (typeof name === 'string' && name.trim()) state.speakerNames[label] = name.trim().slice(0, 64);
+    }
+    persist();
+    broadcast({ type: 'names', speakerNames: state.speakerNames });
+    return state.speakerNames;
+  }
+
+  // Moderator corrections. Speakers are referred to by label ("A") or raw
+  // diarization id; durations and stats are recomputed from the transcript.
+  function resolveSpeaker(ref) {
+    if (ref === undefined || ref === null || ref === '') throw new Error('Provide a speaker label or id');
+    for (const [speaker, label] of state.speakerLabels) {
+      if (label === String(ref) && !state.speakerAliases.has(speaker)) return speaker;
+    }
+    for (const speaker of state.speakerLabels.keys()) {
+      if (String(speaker) === String(ref)) return state.speakerAliases.has(speaker) ? state.speakerAliases.get(speaker) : speaker;
+    }
+    throw new Error(`Unknown speaker "${ref}"`);
+  }
+
+  function recomputeTotals() {
+    const durations = new Map();
+    for (const entry of state.transcript) creditTurns(durations, entry.turns);
+    for (const [speaker, seconds] of state.adjustments) {
+      durations.set(speaker, Math.max(0, (durations.get(speaker) || 0) + seconds));
+    }
+    state.speakerDurations = durations;
+    state.turnStats = computeTurnStats(state.transcript);
+    speechTally.reset(state.transcript);
+    state.speechStats = speechTally.snapshot();
+  }
+
+  function segmentView(entry) {
+    return {
+      segmentId: entry.id,
+      segments: entry.turns.map(({ speaker, start, end, text }) => ({ speaker, label: labelForSpeaker(speaker), start, end, text })),
+    };
+  }
+
+  // Log the correction, recompute and tell every client which segments changed
+  function applyCorrection(action, details, changedEntries, meta = {}) {
+    const correction = { id: state.corrections.length + 1, at: new Date().toISOString(), by: meta.by || null, action, ...details, note: meta.note ? String(meta.note).slice(0, 500) : null };
+    state.corrections.push(correction);
+    recomputeTotals();
+    persist();
+    broadcast({ type: 'correction', correction, updated: changedEntries.map(segmentView), speakerDurations: Object.fromEntries(state.speakerDurations) });
+    broadcast(analyticsSnapshot());
+    formatEngine.check();
+    return correction;
+  }
+
+  // Give a final segment (or one turn of it) to another speaker
+  function reassignSegment({ segmentId, turn, speaker }, meta) {
+    const entry = state.transcript.find((e) => e.id === Number(segmentId));
+    if (!entry) throw new Error(`No final segment ${segmentId}`);
+    const to = resolveSpeaker(speaker);
+    const indexes = turn === undefined || turn === null ? entry.turns.map((_, i) => i) : [Number(turn)];
+    if (indexes.some((i) => !entry.turns[i])) throw new Error(`Segment ${segmentId} has no turn ${turn}`);
+    const from = [...new Set(indexes.map((i) => entry.turns[i].speaker))];
+    for (const i of indexes) entry.turns[i] = { ...entry.turns[i], speaker: to };
+    return applyCorrection('reassign', { segmentId: entry.id, turn: turn ?? null, from, to, label: labelForSpeaker(to) }, [entry], meta);
+  }
+
+  // Fold one speaker into another, now and for everything transcribed later
+  function mergeSpeakers({ from, into }, meta) {
+    const source = resolveSpeaker(from);
+    const target = resolveSpeaker(into);
+    if (source === target) throw new Error('Pick two different speakers');
+    state.speakerAliases.set(source, target);
+    for (const [speaker, alias] of state.speakerAliases) {
+      if (alias === source) state.speakerAliases.set(speaker, target);
+    }
+    state.speakerLabels.set(source, labelForSpeaker(target));
+    if (state.adjustments.has(source)) {
+      state.adjustments.set(target, (state.adjustments.get(target) || 0) + state.adjustments.get(source));
+      state.adjustments.delete(source);
+    }
+    const changed = [];
+    for (const entry of state.transcript) {
+      if (!entry.turns.some((t) => t.speaker === source)) continue;
+      entry.turns = entry.turns.map((t) => (t.speaker === source ? { ...t, speaker: target } : t));
+      changed.push(entry);
+    }
+    return applyCorrection('merge', { from: source, into: target, label: labelForSpeaker(target), segments: changed.length }, changed, meta);
+  }
+
+  // Add (or with a negative number, take away) speaking time
+  function adjustTime({ speaker, seconds }, meta) {
+    const target = resolveSpeaker(speaker);
+    const delta = Number(seconds);
+    if (!Number.isFinite(delta) || delta === 0) throw new Error('seconds must be a non-zero number');
+    state.adjustments.set(target, (state.adjustments.get(target) || 0) + delta);
+    return applyCorrection('adjust', { speaker: target, label: labelForSpeaker(target), seconds: delta }, [], meta);
+  }
+
+  // Replaces the watchlist; applies to segments finalized from now on
+  function setWatchlist(input) {
+    state.watchlist = validateWatchlist(input);
+    watchlistMatchers = compileWatchlist(state.watchlist);
+    persist();
+    broadcast({ type: 'watchlist', watchlist: state.watchlist });
+    return state.watchlist;
+  }
+
+  // Detach everything before the session is dropped from memory
+  // Resolves once the audio recording has been flushed and saved and any
+  // save already under way has finished
+  async function dispose() {
+    formatEngine.unload();
+    for (const client of clients) {
+      try { client.end(); } catch {}
+    }
+    clients.clear();
+    await finishRecording();
+    disposed = true;
+    clearTimeout(saveTimer);
+    saveTimer = null;
+    return saving;
+  }
+
+  Object.assign(session, {
+    broadcast,
+    replayTo,
+    analyticsSnapshot,
+    record,
+    start,
+    startFile,
+    stop,
+    pause,
+    resume,
+    setNames,
+    setWatchlist,
+    reassignSegment,
+    mergeSpeakers,
+    adjustTime,
+    corrections: () => state.corrections,
+    watchlist: () => state.watchlist,
+    keywordHits: () => state.keywordHits,
+    dispose,
+    formatEngine,
+    status,
+    isRunning: () => !!state.connection || state.reconnecting || !!state.progress || !!state.paused,
+    audioLevel: () => levels.snapshot(),
+    lastAudioAgeSeconds: () => (state.lastAudioMs ? (Date.now() - state.lastAudioMs) / 1000 : null),
+    hasStarted: () => state.started,
+    speakerNames: () => state.speakerNames,
+  });
+  return session;
+}
+
+module.exports = { createSession };
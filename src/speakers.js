@@ -0,0 +1,38 @@
+'use strict';
+
+// Pauses longer than this (seconds) inside one speaker's run are treated as
+// silence and not credited as speaking time.
+const DEFAULT_MAX_PAUSE = 1.5;
+
+// Split a segment's words into contiguous same-speaker turns. Each turn is
+// credited with its word durations plus the short pauses between them; gaps
+// at speaker changes and long pauses are not credited to anyone.
+function splitSpeakerTurns(words, { maxPause = DEFAULT_MAX_PAUSE } = {}) {
+  const turns = [];
+  let turn = null;
+  for (const w of words || []) {
+    const speaker = w.speaker ?? 'unknown';
+    const start = Number(w.start) || 0;
+    const end = Math.max(start, Number(w.end) || start);
+    if (!turn || turn.speaker !== speaker) {
+      turn = { speaker, start, end, seconds: end - start, words: [w.word] };
+      turns.push(turn);
+      continue;
+    }
+    const gap = start - turn.end;
+    turn.seconds += (end - start) + (gap > 0 && gap <= maxPause ? gap : 0);
+    turn.end = Math.max(turn.end, end);
+    turn.words.push(w.word);
+  }
+  return turns.map(({ words: turnWords, ...rest }) => ({ ...rest, text: turnWords.join(' ') }));
+}
+
+// Credit each turn's seconds to its speaker in a Map of speaker -> seconds
+function creditTurns(durations, turns) {
+  for (const turn of turns) {
+    durations.set(turn.speaker, (durations.get(turn.speaker) || 0) + turn.seconds);
+  }
+  return durations;
+}
+
+module.exports = { splitSpeakerTurns, creditTurns, DEFAULT_MAX_PAUSE };
@@ -0,0 +1,112 @@
+'use strict';
+
+// Counted as fillers unless FILLER_WORDS overrides the list. Deepgram only
+// transcribes "um"/"uh" for sessions with the `fillerWords` option.
+const DEFAULT_FILLERS = ['um', 'uh', 'like', 'you know'];
+const DEFAULT_ROLLING_WINDOW = 60; // seconds of debate time
+const TOP_TERMS = 10;
+
+// Left out of the most-used terms
+const STOPWORDS = new Set(`a about after again all also am an and any are as at be because been before being but by
+can could did do does doing don't for from had has have having he her here hers him his how i i'm if in into is it
+it's its just let's me more most my no not now of off on once only or other our ours out over own really right same
+she should so some such than that that's the their theirs them then there there's these they they're this those
+through to too under until up very was we we're were what what's when where which while who why will with would yes
+you you're your yours yeah okay oh gonna wanna going get got thing things think know say said`.split(/\s+/));
+
+function tokenize(text) {
+  return String(text || '').toLowerCase().match(/[a-z0-9']+/g) || [];
+}
+
+function emptySpeechStats() {
+  return { words: 0, speakingSeconds: 0, wpm: 0, rollingWpm: null, fillers: {}, fillerCount: 0, fillerRate: 0, sentences: 0, averageSentenceWords: 0, topTerms: [] };
+}
+
+// Count each filler phrase as whole words, e.g. "like" but not "likely"
+function countFillers(tokens, fillers) {
+  const counts = {};
+  for (const filler of fillers) {
+    const phrase = tokenize(filler);
+    if (!phrase.length) continue;
+    let count = 0;
+    for (let i = 0; i + phrase.length <= tokens.length; i++) {
+      if (phrase.every((word, j) => tokens[i + j] === word)) count += 1;
+    }
+    if (count) counts[filler] = count;
+  }
+  return counts;
+}
+
+// Pace, filler and vocabulary stats per speaker, kept as running totals so
+// each final turn costs only its own words. Rolling pace covers the last
+// `rollingWindow` seconds before the latest word.
+function createSpeechTally({ fillers = DEFAULT_FILLERS, rollingWindow = DEFAULT_ROLLING_WINDOW } = {}) {
+  const fillerWords = new Set(fillers.flatMap(tokenize));
+  let speakers; // speaker -> running stats
+  let terms; // speaker -> Map(term -> count)
+  let recent; // turns that may still fall inside the rolling window
+  let latestEnd;
+
+  function reset(transcript = []) {
+    speakers = {};
+    terms = {};
+    recent = [];
+    latestEnd = 0;
+    for (const entry of transcript) add(entry.turns);
+  }
+
+  function add(turns = []) {
+    for (const turn of turns) {
+      const stats = speakers[turn.speaker] || (speakers[turn.speaker] = emptySpeechStats());
+      const tokens = tokenize(turn.text);
+      stats.words += tokens.length;
+      stats.speakingSeconds += turn.seconds || 0;
+      stats.sentences += String(turn.text || '').split(/[.?!…]+/).filter((s) => tokenize(s).length).length;
+
+      for (const [filler, count] of Object.entries(countFillers(tokens, fillers))) {
+        stats.fillers[filler] = (stats.fillers[filler] || 0) + count;
+        stats.fillerCount += count;
+      }
+
+      const counts = terms[turn.speaker] || (terms[turn.speaker] = new Map());
+      for (const token of tokens) {
+        if (token.length < 3 || STOPWORDS.has(token) || fillerWords.has(token) || /^\d+$/.test(token)) continue;
+        counts.set(token, (counts.get(token) || 0) + 1);
+      }
+
+      latestEnd = Math.max(latestEnd, turn.end || 0);
+      recent.push({ speaker: turn.speaker, end: turn.end, words: tokens.length, seconds: turn.seconds || 0 });
+    }
+    // The latest end only moves forward, so turns that fell out stay out
+    recent = recent.filter((turn) => turn.end > latestEnd - rollingWindow);
+  }
+
+  function snapshot() {
+    const rolling = {}; // speaker -> { words, seconds }
+    for (const turn of recent) {
+      const window = rolling[turn.speaker] || (rolling[turn.speaker] = { words: 0, seconds: 0 });
+      window.words += turn.words;
+      window.seconds += turn.seconds;
+    }
+    const result = {};
+    for (const [speaker, totals] of Object.entries(speakers)) {
+      const stats = { ...totals, fillers: { ...totals.fillers } };
+      stats.wpm = stats.speakingSeconds > 0 ? stats.words / (stats.speakingSeconds / 60) : 0;
+      const window = rolling[speaker];
+      stats.rollingWpm = window && window.seconds > 0 ? window.words / (window.seconds / 60) : null;
+      stats.fillerRate = stats.words ? (stats.fillerCount / stats.words) * 100 : 0;
+      stats.averageSentenceWords = stats.sentences ? stats.words / stats.sentences : 0;
+      stats.topTerms = [...terms[speaker].entries()]
+        .sort((a, b) => b[1] - a[1] || a[0].localeCompare(b[0]))
+        .slice(0, TOP_TERMS)
+        .map(([term, count]) => ({ term, count }));
+      result[speaker] = stats;
+    }
+    return { speakers: result, fillers, rollingWindowSeconds: rollingWindow };
+  }
+
+  reset();
+  return { add, reset, snapshot };
+}
+
+module.exports = { createSpeechTally, DEFAULT_FILLERS, DEFAULT_ROLLING_WINDOW };
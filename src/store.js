@@ -0,0 +1,98 @@
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { log } = require('./log');
+
+const ID_PATTERN = /^[A-Za-z0-9_-]+$/;
+const RECORDING_EXTENSIONS = ['ogg', 'mp3']; // audio recordings kept next to the session
+
+// Sortable, filename-safe session id, e.g. 20261019-143005-3fa2c1
+function newSessionId(date = new Date()) {
+  const stamp = date.toISOString().slice(0, 19).replace(/[-:]/g, '').replace('T', '-');
+  return `${stamp}-${crypto.randomBytes(3).toString('hex')}`;
+}
+
+function summarize(record) {
+  return {
+    id: record.id,
+    createdAt: record.createdAt,
+    endedAt: record.endedAt || null,
+    mode: record.mode,
+    platform: record.platform,
+    url: record.url,
+    fileName: record.fileName || null,
+    speakerNames: record.speakerNames || {},
+    speakerDurations: record.speakerDurations || {},
+    wordsCount: record.wordsCount || 0,
+    segmentCount: (record.transcript || []).length,
+    recording: record.recording ? record.recording.format : null,
+  };
+}
+
+// JSON-file-per-session store. Writes go through a temp file and rename so a
+// crash mid-write never leaves a truncated session behind. Audio recordings
+// live alongside as <id>.ogg or <id>.mp3.
+function createSessionStore(dir) {
+  fs.mkdirSync(dir, { recursive: true });
+
+  function fileFor(id, ext = 'json') {
+    if (!ID_PATTERN.test(String(id))) return null;
+    return path.join(dir, `${id}.${ext}`);
+  }
+
+  async function save(record) {
+    const file = fileFor(record.id);
+    if (!file) throw new Error(`Invalid session id: ${record.id}`);
+    const tmp = `${file}.${process.pid}-${crypto.randomBytes(3).toString('hex')}.tmp`;
+    await fs.promises.writeFile(tmp, JSON.stringify(record));
+    await fs.promises.rename(tmp, file);
+  }
+
+  async function get(id) {
+    const file = fileFor(id);
+    if (!file) return null;
+    try {
+      return JSON.parse(await fs.promises.readFile(file, 'utf8'));
+    } catch (err) {
+      if (err.code === 'ENOENT') return null;
+      throw err;
+    }
+  }
+
+  async function list() {
+    const names = await fs.promises.readdir(dir);
+    const records = [];
+    for (const name of names) {
+      if (!name.endsWith('.json')) continue;
+      try {
+        records.push(summarize(JSON.parse(await fs.promises.readFile(path.join(dir, name), 'utf8'))));
+      } catch (err) {
+        log.error(`Skipping unreadable session file ${name}: ${err.message}`);
+      }
+    }
+    return records.sort((a, b) => String(b.createdAt).localeCompare(String(a.createdAt)));
+  }
+
+  async function remove(id) {
+    const file = fileFor(id);
+    if (!file) return false;
+    for (const ext of RECORDING_EXTENSIONS) {
+      await fs.promises.unlink(fileFor(id, ext)).catch((err) => {
+        if (err.code !== 'ENOENT') throw err;
+      });
+    }
+    try {
+      await fs.promises.unlink(file);
+      return true;
+    } catch (err) {
+      if (err.code === 'ENOENT') return false;
+      throw err;
+    }
+  }
+
+  return { dir, fileFor, save, get, list, remove };
+}
+
+module.exports = { createSessionStore, newSessionId, summarize };
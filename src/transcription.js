@@ -0,0 +1,91 @@
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const { log } = require('./log');
+
+// "auto" detects the language, "multi" transcribes code-switched speech;
+// anything else is a BCP-47 code like "en", "es" or "pt-BR"
+const LANGUAGE_PATTERN = /^(auto|multi|[a-z]{2,3}(-[A-Za-z0-9]{2,8})*)$/;
+const MODEL_PATTERN = /^[A-Za-z0-9._-]{1,64}$/;
+const MAX_KEYWORDS = 100;
+
+function slugify(text) {
+  return String(text).toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '').slice(0, 64) || 'preset';
+}
+
+// Keywords are "term", "term:boost" or { term, boost }
+function parseKeyword(entry, i) {
+  let term = typeof entry === 'string' ? entry : entry?.term;
+  let boost = typeof entry === 'object' && entry?.boost != null ? Number(entry.boost) : null;
+  term = String(term || '').trim();
+  const suffix = typeof entry === 'string' && /^(.*\S):(-?\d+(\.\d+)?)$/.exec(term);
+  if (suffix) {
+    term = suffix[1].trim();
+    boost = Number(suffix[2]);
+  }
+  if (!term) throw new Error(`Keyword ${i + 1} is empty`);
+  if (term.length > 100) throw new Error(`Keyword ${i + 1} is longer than 100 characters`);
+  if (boost !== null && (!Number.isFinite(boost) || Math.abs(boost) > 10)) throw new Error(`Keyword "${term}" needs a boost between -10 and 10`);
+  return { term, boost };
+}
+
+// Normalize per-session transcription options, throwing on anything invalid.
+// Unset options are null and leave the provider's defaults alone.
+function validateTranscriptionOptions(input) {
+  if (input === undefined || input === null) input = {};
+  if (typeof input !== 'object' || Array.isArray(input)) throw new Error('Transcription options must be a JSON object');
+
+  const language = input.language ? String(input.language).trim() : null;
+  if (language && !LANGUAGE_PATTERN.test(language)) throw new Error(`Unknown language "${language}"; use a code like "en" or "pt-BR", "auto" or "multi"`);
+
+  const model = input.model ? String(input.model).trim() : null;
+  if (model && !MODEL_PATTERN.test(model)) throw new Error(`Invalid model "${model}"`);
+
+  let endpointing = null;
+  if (input.endpointing === false || input.endpointing === 'false') {
+    endpointing = false;
+  } else if (input.endpointing !== undefined && input.endpointing !== null && input.endpointing !== '') {
+    endpointing = Number(input.endpointing);
+    if (!Number.isInteger(endpointing) || endpointing < 10 || endpointing > 10000) throw new Error('endpointing must be milliseconds of silence between 10 and 10000, or false');
+  }
+
+  const keywords = typeof input.keywords === 'string' ? input.keywords.split(/[\n,]/).filter((k) => k.trim()) : (input.keywords || []);
+  if (!Array.isArray(keywords)) throw new Error('keywords must be an array');
+  if (keywords.length > MAX_KEYWORDS) throw new Error(`At most ${MAX_KEYWORDS} keywords`);
+
+  const fillerWords = input.fillerWords === true || input.fillerWords === 'true';
+
+  return { language, model, endpointing, keywords: keywords.map(parseKeyword), fillerWords };
+}
+
+function validateTranscriptionPreset(input) {
+  if (!input || typeof input !== 'object') throw new Error('Preset must be a JSON object');
+  const name = String(input.name || '').trim();
+  if (!name) throw new Error('Preset needs a name');
+  return { id: slugify(input.id || name), name, options: validateTranscriptionOptions(input.options) };
+}
+
+// Presets saved from the UI, CLI or API, one JSON file each
+function loadTranscriptionPresets(dir) {
+  if (!dir || !fs.existsSync(dir)) return [];
+  const presets = [];
+  for (const file of fs.readdirSync(dir)) {
+    if (!file.endsWith('.json')) continue;
+    try {
+      presets.push(validateTranscriptionPreset(JSON.parse(fs.readFileSync(path.join(dir, file), 'utf8'))));
+    } catch (err) {
+      log.error(`Skipping transcription preset ${file}: ${err.message}`);
+    }
+  }
+  return presets.sort((a, b) => a.name.localeCompare(b.name));
+}
+
+async function saveTranscriptionPreset(dir, input) {
+  const preset = validateTranscriptionPreset(input);
+  await fs.promises.mkdir(dir, { recursive: true });
+  await fs.promises.writeFile(path.join(dir, `${preset.id}.json`), JSON.stringify(preset, null, 2));
+  return preset;
+}
+
+module.exports = { validateTranscriptionOptions, loadTranscriptionPresets, saveTranscriptionPreset };
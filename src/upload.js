@@ -0,0 +1,52 @@
+'use strict';
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const crypto = require('crypto');
+
+// Receives a raw request body (the file itself, as sent by `fetch(url, {
+// body: file })` or `curl --data-binary @file`) into a temp file and sets
+// `req.upload = { path, name, size }`. The original name comes from `?name=`.
+function createUploadReceiver({ dir = os.tmpdir(), maxBytes }) {
+  return function receiveUpload(req, res, next) {
+    const name = path.basename(String(req.query.name || 'upload')).slice(0, 200);
+    const tmpPath = path.join(dir, `dgg-upload-${crypto.randomBytes(6).toString('hex')}${path.extname(name)}`);
+    const out = fs.createWriteStream(tmpPath);
+    let size = 0;
+    let failed = false;
+
+    function fail(status, message) {
+      if (failed) return;
+      failed = true;
+      req.unpipe(out);
+      out.destroy();
+      fs.unlink(tmpPath, () => {});
+      res.status(status).json({ error: message });
+      req.resume(); // drain whatever is still coming
+    }
+
+    req.on('data', (chunk) => {
+      size += chunk.length;
+      if (size > maxBytes) fail(413, `file is larger than ${Math.round(maxBytes / 1024 / 1024)} MB`);
+    });
+    req.on('error', () => fail(400, 'upload interrupted'));
+    out.on('error', (err) => fail(500, `could not store upload: ${err.message}`));
+    out.on('finish', () => {
+      if (failed) return;
+      if (!size) {
+        fs.unlink(tmpPath, () => {});
+        return res.status(400).json({ error: 'Send the file as the request body' });
+      }
+      req.upload = { path: tmpPath, name, size };
+      next();
+    });
+    req.pipe(out);
+  };
+}
+
+function removeUpload(upload) {
+  if (upload) fs.unlink(upload.path, () => {});
+}
+
+module.exports = { createUploadReceiver, removeUpload };
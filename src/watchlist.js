@@ -0,0 +1,68 @@
+'use strict';
+
+const MAX_ENTRIES = 200;
+const REGEX_FLAGS = 'msu'; // on top of `i` (caseSensitive) and `g` (always on)
+
+function escapeRegex(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+// Normalize a user-supplied watchlist, throwing on anything we can't match.
+// Entries are plain words/phrases (whole-word, case-insensitive, matched
+// literally), "/regex/flags" strings, or { term, regex, caseSensitive, flags }
+// objects.
+function validateWatchlist(input) {
+  if (!Array.isArray(input)) throw new Error('Watchlist must be an array');
+  if (input.length > MAX_ENTRIES) throw new Error(`Watchlist can have at most ${MAX_ENTRIES} entries`);
+  return input.map((entry, i) => {
+    let term = typeof entry === 'string' ? entry : entry?.term;
+    let regex = typeof entry === 'object' && !!entry?.regex;
+    let caseSensitive = typeof entry === 'object' && !!entry?.caseSensitive;
+    let flags = typeof entry === 'object' && entry?.flags ? String(entry.flags) : '';
+    term = String(term || '').trim();
+    if (!term) throw new Error(`Watchlist entry ${i + 1} is empty`);
+    const literal = typeof entry === 'string' && /^\/(.+)\/([a-z]*)$/.exec(term);
+    if (literal) {
+      term = literal[1];
+      regex = true;
+      caseSensitive = !literal[2].includes('i');
+      flags = literal[2];
+    }
+    if (!regex) return { term, regex, caseSensitive, flags: '' };
+    const unsupported = [...flags].filter((flag) => !`gi${REGEX_FLAGS}`.includes(flag));
+    if (unsupported.length) throw new Error(`Watchlist entry ${i + 1} has unsupported regex flags "${unsupported.join('')}"; use i, m, s or u`);
+    flags = [...new Set(flags)].filter((flag) => REGEX_FLAGS.includes(flag)).join('');
+    try {
+      new RegExp(term, flags);
+    } catch (err) {
+      throw new Error(`Watchlist entry ${i + 1} is not a valid regex: ${err.message}`);
+    }
+    return { term, regex, caseSensitive, flags };
+  });
+}
+
+function compileWatchlist(watchlist) {
+  return watchlist.map((entry) => ({
+    entry,
+    pattern: new RegExp(entry.regex ? entry.term : `(?<![\\w'])${escapeRegex(entry.term)}(?![\\w'])`, `${entry.caseSensitive ? 'g' : 'gi'}${entry.flags || ''}`),
+  }));
+}
+
+// All matches in `text` as { term, match, index, length }, in text order
+function findMatches(compiled, text) {
+  const matches = [];
+  for (const { entry, pattern } of compiled) {
+    pattern.lastIndex = 0;
+    let m;
+    while ((m = pattern.exec(text)) !== null) {
+      if (!m[0]) {
+        pattern.lastIndex += 1; // zero-width match; move on
+        continue;
+      }
+      matches.push({ term: entry.term, match: m[0], index: m.index, length: m[0].length });
+    }
+  }
+  return matches.sort((a, b) => a.index - b.index);
+}
+
+module.exports = { validateWatchlist, compileWatchlist, findMatches };
@@ -0,0 +1,223 @@
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { log } = require('./log');
+
+const EVENTS = ['session.started', 'session.stopped', 'session.error', 'speaker.changed', 'segment.final', 'budget.threshold', 'keyword.matched'];
+const DEFAULT_RETRY = { attempts: 5, baseDelayMs: 1000, timeoutMs: 10000 };
+const LOG_SIZE = 200;
+
+// Signature over "<timestamp>.<body>" so receivers can reject replays
+function signPayload(secret, timestamp, body) {
+  return `sha256=${crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex')}`;
+}
+
+function validateTarget(input) {
+  if (!input || typeof input !== 'object') throw new Error('Webhook must be a JSON object');
+  let url;
+  try {
+    url = new URL(String(input.url || ''));
+  } catch {
+    throw new Error('Webhook needs a valid url');
+  }
+  if (!['http:', 'https:'].includes(url.protocol)) throw new Error('Webhook url must be http or https');
+  const events = input.events === undefined ? EVENTS : input.events;
+  if (!Array.isArray(events) || !events.length) throw new Error(`events must be a non-empty array of: ${EVENTS.join(', ')}`);
+  for (const event of events) {
+    if (!EVENTS.includes(event)) throw new Error(`Unknown event "${event}". Available: ${EVENTS.join(', ')}`);
+  }
+  return {
+    url: url.toString(),
+    events: [...new Set(events)],
+    secret: input.secret ? String(input.secret) : crypto.randomBytes(24).toString('hex'),
+    description: input.description ? String(input.description).slice(0, 200) : '',
+  };
+}
+
+// Webhook targets saved in `file`, fed from session broadcasts via `handle()`.
+// Each delivery is a signed JSON POST retried with backoff on network
+// errors, timeouts, 408/429 and 5xx; the latest deliveries are kept in a log.
+function createWebhooks({ file, retry: retryOptions }) {
+  const retry = { ...DEFAULT_RETRY, ...retryOptions };
+  let targets = [];
+  const deliveryLog = []; // newest last
+  // sessionId -> { started, stopped, error, lastLabel }, to fire transitions
+  // once; dropped when the session.stopped deliveries are done
+  const tracked = new Map();
+
+  try {
+    targets = JSON.parse(fs.readFileSync(file, 'utf8'));
+  } catch (err) {
+    if (err.code !== 'ENOENT') log.error(`Failed to read webhooks: ${err.message}`);
+  }
+
+  async function saveTargets() {
+    await fs.promises.mkdir(path.dirname(file), { recursive: true });
+    const tmp = `${file}.${process.pid}-${crypto.randomBytes(3).toString('hex')}.tmp`;
+    await fs.promises.writeFile(tmp, JSON.stringify(targets, null, 2));
+    await fs.promises.rename(tmp, file);
+  }
+
+  function list() {
+    return targets;
+  }
+
+  async function add(input) {
+    const target = { id: crypto.randomBytes(6).toString('hex'), createdAt: new Date().toISOString(), ...validateTarget(input) };
+    targets.push(target);
+    await saveTargets();
+    return target;
+  }
+
+  async function remove(id) {
+    const before = targets.length;
+    targets = targets.filter((t) => t.id !== id);
+    if (targets.length === before) return false;
+    await saveTargets();
+    return true;
+  }
+
+  function record(delivery) {
+    deliveryLog.push(delivery);
+    if (deliveryLog.length > LOG_SIZE) deliveryLog.shift();
+  }
+
+  function deliveries({ webhookId } = {}) {
+    return deliveryLog.filter((d) => !webhookId || d.webhookId === webhookId).slice().reverse();
+  }
+
+  async function attempt(target, delivery, body) {
+    const timestamp = String(Math.floor(Date.now() / 1000));
+    const startedAt = Date.now();
+    const entry = { at: new Date(startedAt).toISOString(), status: null, error: null, durationMs: 0 };
+    delivery.attempts.push(entry);
+    try {
+      const res = await fetch(target.url, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          'User-Agent': 'dgg-debate-timer-webhooks',
+          'X-Webhook-Id': target.id,
+          'X-Webhook-Event': delivery.event,
+          'X-Webhook-Delivery': delivery.id,
+          'X-Webhook-Timestamp': timestamp,
+          'X-Webhook-Signature': signPayload(target.secret, timestamp, body),
+        },
+        body,
+        signal: AbortSignal.timeout(retry.timeoutMs),
+      });
+      entry.status = res.status;
+      if (res.ok) return true;
+      entry.error = `HTTP ${res.status}`;
+      return !(res.status === 408 || res.status === 429 || res.status >= 500) ? null : false;
+    } catch (err) {
+      entry.error = err.name === 'TimeoutError' ? `timed out after ${retry.timeoutMs}ms` : err.message;
+      return false;
+    } finally {
+      entry.durationMs = Date.now() - startedAt;
+    }
+  }
+
+  // Resolves once delivered or given up; never rejects
+  async function deliver(target, event, sessionId, data, { attempts = retry.attempts } = {}) {
+    const delivery = {
+      id: crypto.randomBytes(8).toString('hex'),
+      webhookId: target.id,
+      url: target.url,
+      event,
+      sessionId,
+      status: 'pending',
+      createdAt: new Date().toISOString(),
+      attempts: [],
+    };
+    record(delivery);
+    const body = JSON.stringify({ id: delivery.id, event, sessionId, at: delivery.createdAt, data });
+    for (let i = 0; i < attempts; i++) {
+      const ok = await attempt(target, delivery, body);
+      if (ok) {
+        delivery.status = 'delivered';
+        return delivery;
+      }
+      if (ok === null) break; // the receiver rejected it; retrying won't help
+      if (i < attempts - 1) await new Promise((resolve) => setTimeout(resolve, retry.baseDelayMs * 2 ** i));
+    }
+    delivery.status = 'failed';
+    const { error } = delivery.attempts[delivery.attempts.length - 1];
+    log.error(`Webhook ${target.id} failed for ${event}: ${error}`, { webhookId: target.id, event, sessionId, deliveryId: delivery.id, error });
+    return delivery;
+  }
+
+  // Resolves once every matching target is delivered or given up
+  function emit(event, sessionId, data) {
+    return Promise.all(targets.filter((target) => target.events.includes(event)).map((target) => deliver(target, event, sessionId, data)));
+  }
+
+  // One attempt, so the caller sees the receiver's answer right away
+  async function test(id) {
+    const target = targets.find((t) => t.id === id);
+    if (!target) return null;
+    return deliver(target, 'webhook.test', null, { message: 'Test delivery', webhookId: target.id }, { attempts: 1 });
+  }
+
+  // Map a session broadcast onto webhook events
+  function handle(session, obj) {
+    if (!targets.length || !obj) return;
+    const sessionId = session.id;
+    if (!tracked.has(sessionId)) {
+      if (obj.endedAt) return; // already stopped and forgotten, e.g. a correction afterwards
+      tracked.set(sessionId, { started: false, stopped: false, error: null, lastLabel: null });
+    }
+    const track = tracked.get(sessionId);
+
+    if (obj.type === 'analytics') {
+      const info = { mode: obj.mode, platform: obj.platform, url: obj.url, fileName: obj.fileName };
+      if (!track.started && obj.status !== 'idle' && !obj.endedAt) {
+        track.started = true;
+        emit('session.started', sessionId, { ...info, createdAt: obj.createdAt });
+      }
+      if (obj.error && obj.error !== track.error) {
+        track.error = obj.error;
+        emit('session.error', sessionId, { ...info, error: obj.error });
+      }
+      if (!track.stopped && obj.endedAt) {
+        track.stopped = true;
+        emit('session.stopped', sessionId, {
+          ...info,
+          endedAt: obj.endedAt,
+          error: obj.error,
+          speakerDurations: obj.speakerDurations,
+          speakerLabels: obj.speakerLabels,
+          speakerNames: obj.speakerNames,
+          wordsCount: obj.wordsCount,
+        }).then(() => tracked.delete(sessionId));
+      }
+      return;
+    }
+
+    if (obj.type === 'final') {
+      for (const part of obj.segments || []) {
+        if (track.lastLabel && part.label !== track.lastLabel) {
+          emit('speaker.changed', sessionId, { from: track.lastLabel, to: part.label, speaker: part.speaker, at: part.start });
+        }
+        track.lastLabel = part.label;
+      }
+      emit('segment.final', sessionId, { text: obj.text, start: obj.start, end: obj.end, segments: obj.segments, speakerDurations: obj.speakerDurations });
+      return;
+    }
+
+    if (obj.type === 'format-alert') {
+      emit('budget.threshold', sessionId, obj);
+      return;
+    }
+
+    if (obj.type === 'keyword') {
+      emit('keyword.matched', sessionId, obj);
+    }
+  }
+
+  return { list, add, remove, test, deliveries, handle, EVENTS };
+}
+
+module.exports = { createWebhooks, signPayload, EVENTS };